@@ -1,8 +1,29 @@
 import * as Koa from 'koa'
+import { EventEmitter } from 'events'
 
 declare module 'koa' {
   interface Context {
     params: { [x: string]: string }
+    /**
+     * version resolved for the request, when versions are served: the latest version served satisfying the range requested, e.g. ``2.0.0`` for ``>=1``
+     */
+    version: string
+    /**
+     * full pattern of the route dispatched, including the paths the routers on the way are mounted on, e.g. ``/orgs/:org/users/:id``
+     */
+    matchedRoute: string
+    /**
+     * layers matched by the routers on the way, in order
+     */
+    matchedLayers: MatchedLayer[]
+    /**
+     * metadata of the route dispatched, merged from the routers, layers and handlers on the way
+     */
+    routeMeta: { [key: string]: any }
+    /**
+     * time spent in the routers, layers and param callbacks, with the ``profile`` option
+     */
+    routerTimings: RouterTiming[]
   }
 
   export interface IMiddleware {
@@ -15,11 +36,55 @@ declare module 'koa' {
 }
 
 interface Query {
+  /**
+   * path-to-regexp style pattern matched against the hostname, e.g. ``api.:tenant.example.com``
+   */
+  host?: string
+  /**
+   * conditions on request headers, taking the same kinds of values as query conditions. Header names are case-insensitive.
+   */
+  headers?: { [name: string]: any }
+  /**
+   * media types a method handler produces, negotiated against the ``Accept`` header. Unmatched requests get 406.
+   */
+  accepts?: string | string[]
+  /**
+   * semver range of the versions served, e.g. ``>=2 <3``
+   */
+  version?: string
+  /**
+   * JSON Schemas validating the request before the handlers run. Values in ``ctx.params`` and ``ctx.query`` are coerced to the types declared.
+   */
+  validate?: ValidationSchemas
+  /**
+   * OpenAPI operation metadata of the handlers, e.g. ``summary`` and ``responses``, used by ``Router#toOpenAPI``
+   */
+  openapi?: { [field: string]: any }
+  /**
+   * metadata merged shallowly into ``ctx.routeMeta`` of the routes inside, e.g. ``{ roles: ['admin'] }``
+   */
+  meta?: { [key: string]: any }
   [key: string]: any
 }
 
 type PathParams = string | RegExp | (string | RegExp)[];
 
+interface MatchedLayer {
+  /**
+   * name of the route, or the middleware function
+   */
+  name: string
+  /**
+   * path as registered
+   */
+  path: PathParams
+  /**
+   * path including the paths the routers on the way are mounted on
+   */
+  fullPath: string
+  route?: Route
+}
+
 interface IRouteHandler {
   /**
    * register HTTP method handlers
@@ -43,6 +108,140 @@ interface IRouterHandler {
    * @api public
    */
   (path: PathParams, query: Query, ...middleware: Koa.IMiddleware[]): Router
+  /**
+   * register HTTP method handlers on a named route
+   * @api public
+   */
+  (name: string, path: PathParams, ...middlewares: Koa.IMiddleware[]): Router
+  /**
+   * register HTTP method handlers with query matching on a named route
+   * @api public
+   */
+  (name: string, path: PathParams, query: Query, ...middleware: Koa.IMiddleware[]): Router
+}
+
+interface RouteInfo {
+  /**
+   * upper-cased HTTP method, ``ALL`` for ``.all()``
+   */
+  method: string
+  /**
+   * name of the route, if any
+   */
+  name?: string
+  /**
+   * path of the route from where the router is exported
+   */
+  fullPath: string
+  /**
+   * path-to-regexp keys of ``fullPath``
+   */
+  keys: { name: string | number, optional: boolean, [key: string]: any }[]
+  /**
+   * query conditions on the way to the route
+   */
+  query?: Query
+  /**
+   * names of the handlers run for ``method``
+   */
+  handlerNames: string[]
+  /**
+   * path where the router of the route is mounted
+   */
+  routerPrefix: string
+  /**
+   * metadata merged from the routers, layers and handlers on the way
+   */
+  meta: { [key: string]: any }
+}
+
+interface UrlOptions {
+  /**
+   * query string to append, either an object or a string
+   */
+  query?: Query | string
+}
+
+type Origins = string | RegExp | (string | RegExp)[] | boolean;
+
+interface CorsPolicy {
+  /**
+   * allowed origins, ``true`` to allow any origin by reflecting it
+   * @default '*'
+   */
+  origin?: Origins | ((origin: string, ctx: Koa.Context) => Origins)
+  /**
+   * allowed request headers, defaults to reflecting ``Access-Control-Request-Headers``
+   */
+  headers?: string | string[]
+  exposeHeaders?: string | string[]
+  /**
+   * @default false
+   */
+  credentials?: boolean
+  /**
+   * seconds to cache the preflight response
+   */
+  maxAge?: number
+}
+
+interface ValidationSchemas {
+  params?: object
+  query?: object
+  /**
+   * validated against ``ctx.request.body``
+   */
+  body?: object
+}
+
+interface ValidationIssue {
+  /**
+   * JSON pointer to the invalid value, e.g. ``/items/0``
+   */
+  path: string
+  message: string
+}
+
+/**
+ * compiles a schema into a function returning either the value, coerced if asked to, or the issues found
+ */
+type Validator = (schema: any, options: { coerce: boolean }) => (value: any) => { value?: any, errors?: ValidationIssue[] };
+
+interface ParamType {
+  /**
+   * pattern matching the param, without groups as required by path-to-regexp
+   */
+  pattern: string | RegExp
+  /**
+   * convert the param, whose return value goes to ``ctx.params``. Errors thrown are responded with ``400``.
+   */
+  parse?: (val: string) => any
+}
+
+type ErrorHandler = (err: any, ctx: Koa.Context, next: (signal?: string) => Promise<any>) => any;
+
+type ParamTransformer = (name: string, arg: any) => Koa.IParamMiddleware | undefined;
+
+interface Versioning {
+  /**
+   * look for the version in a leading path segment like ``/v2``, which is trimmed off like a mount path
+   * @default false
+   */
+  path?: boolean
+  /**
+   * request header holding the version
+   * @default 'Accept-Version'
+   */
+  header?: string | false
+  /**
+   * media type parameter in the ``Accept`` header holding the version, e.g. ``application/json; version=2``
+   * @default 'version'
+   */
+  param?: string | false
+  /**
+   * version of requests without one, defaults to the latest version served
+   */
+  default?: string
 }
 
 interface Options {
@@ -69,15 +268,202 @@ interface Options {
    * **Note**: only when the router gets exported would the prefix take effect.
    */
   prefix?: string
+  /**
+   * When ``true``, a prefix tree is built over the static segments of the paths, so that only the layers that may match a request are tried. The order in which layers are tried stays the same.
+   *
+   * Recommended for routers with many routes.
+   * @default false
+   */
+  compiled?: boolean
+  /**
+   * When ``true``, respond ``405 Method Not Allowed`` with an ``Allow`` header if the path matches some routes, in this router or the routers mounted on it, but none of them handles the method.
+   * @default false
+   */
+  methodNotAllowed?: boolean
+  /**
+   * When ``true``, respond ``501 Not Implemented`` to HTTP methods unknown to Node.js that no route handles.
+   * @default false
+   */
+  notImplemented?: boolean
+  /**
+   * status of the automatic response to OPTIONS requests. The body is left empty for ``204``.
+   * @default 200
+   */
+  optionsStatus?: number
+  /**
+   * respond to OPTIONS requests matching some routes but handled by none, instead of the automatic response
+   */
+  optionsHandler?: (ctx: Koa.Context, methods: string[]) => any
+  /**
+   * CORS policy of the routes in this router. Preflight requests are answered with the methods of the matched routes.
+   */
+  cors?: CorsPolicy
+  /**
+   * semver range of the versions served by this router, e.g. ``2`` or ``>=2 <3``
+   */
+  version?: string
+  /**
+   * where the version requested is looked for, in the order of ``path``, ``header`` and ``param``. The outermost router serving versions looks for it, and so does a router inside given its own ``versioning``, unless the version is requested in the way the routers outside look for.
+   */
+  versioning?: Versioning
+  /**
+   * compiles the ``validate`` schemas of routes, defaults to a built-in validator of a JSON Schema subset
+   */
+  validator?: Validator
+  /**
+   * metadata merged into that of the routes in this router and in the routers mounted on it
+   */
+  meta?: { [key: string]: any }
+  /**
+   * time the routers, layers and param callbacks inside, putting the timings into ``ctx.routerTimings`` and the ``Server-Timing`` header
+   */
+  profile?: boolean
+}
+
+interface RouterTiming {
+  type: 'router' | 'middleware' | 'handler' | 'param'
+  /**
+   * name of the middleware function
+   */
+  name: string
+  /**
+   * full path of the layer, like ``ctx.matchedRoute``
+   */
+  path: string
+  /**
+   * HTTP method of route handlers
+   */
+  method?: string
+  /**
+   * name of the param of param callbacks
+   */
+  param?: string
+  /**
+   * milliseconds including the time in ``next()``
+   */
+  duration: number
+  /**
+   * milliseconds excluding the time in ``next()``
+   */
+  self: number
+}
+
+interface RoutingContext {
+  ctx: Koa.Context
+  /**
+   * route dispatched, if any
+   */
+  route?: Route
+  /**
+   * name of the route dispatched, if any
+   */
+  name?: string
+  params: { [x: string]: any }
+  baseUrl: string
+  /**
+   * full template of the route dispatched, if any
+   */
+  matchedRoute?: string
+}
+
+interface MetricsOptions {
+  /**
+   * prefix of the metric names, defaults to ``http_``
+   */
+  prefix?: string
+  /**
+   * upper bounds of the latency buckets in seconds, defaults to ``Metrics.defaultBuckets``
+   */
+  buckets?: number[]
+}
+
+/**
+ * Collect the request counts, status codes and latencies of requests, labelled by the method and the full template of the route dispatched rather than the raw url.
+ */
+declare class Metrics {
+  constructor(options?: MetricsOptions)
+
+  /**
+   * default upper bounds of the latency buckets, in seconds
+   */
+  public static defaultBuckets: number[]
+
+  /**
+   * Record a request, where ``duration`` is in seconds, and ``route`` is the template of the route dispatched.
+   * @api public
+   */
+  record(request: { method: string, route?: string, status: number, duration: number }): void
+
+  /**
+   * Create a middleware recording the requests passing through it once the rest of the middlewares settle. Use it before the routers.
+   * @api public
+   */
+  middleware(): Koa.IMiddleware
+
+  /**
+   * Create a middleware responding the metrics in the Prometheus text exposition format.
+   * @api public
+   */
+  handler(): Koa.IMiddleware
+
+  /**
+   * Render the metrics in the Prometheus text exposition format.
+   * @api public
+   */
+  render(): string
+
+  /**
+   * Forget the metrics collected.
+   * @api public
+   */
+  reset(): void
 }
 
-declare class Router {
+interface Layer {
+  /**
+   * name of the middleware function
+   */
+  name: string
+  /**
+   * path as registered
+   */
+  pattern: PathParams
+  /**
+   * path given to ``.use()``, without the ``prefix`` of the router used
+   */
+  mountPath?: PathParams
+  route?: Route
+}
+
+/**
+ * Routers emit the events of the routing decisions they make.
+ */
+declare class Router extends EventEmitter {
   /**
    * Initialize a new Router
    * @api public
    */
   constructor(options?: Options)
 
+  on(event: 'layer:added', listener: (layer: Layer) => void): this
+  /**
+   * when a layer is removed or replaced
+   */
+  on(event: 'layer:removed', listener: (layer: Layer) => void): this
+  on(event: 'mount', listener: (parent: Router, path: PathParams) => void): this
+  on(event: 'match', listener: (ctx: Koa.Context, matchedLayer: MatchedLayer) => void): this
+  on(event: 'dispatch', listener: (ctx: Koa.Context, route: Route) => void): this
+  on(event: 'paramResolved', listener: (ctx: Koa.Context, name: string, value: any) => void): this
+  /**
+   * on ``next('route')`` and ``next('router')``
+   */
+  on(event: 'skip', listener: (ctx: Koa.Context, signal: 'route' | 'router') => void): this
+  /**
+   * when the router is done with a request, where ``err`` is what it throws, if any
+   */
+  on(event: 'done', listener: (ctx: Koa.Context, err?: any) => void): this
+  on(event: string | symbol, listener: (...args: any[]) => void): this
+
   /**
    * export router as a useable middleware
    * @param {boolean} [usedByRouter=true] default to ``true``. Use ``false`` if to be used by ``app.use``, ``compose`` or something other than a Router from ``koa-express-router``
@@ -116,6 +502,18 @@ declare class Router {
    */
   use(path: PathParams, query: Query, ...middleware: Koa.IMiddleware[]): Router;
 
+  /**
+   * Use the given middleware function for requests to hosts matching ``host``, which is a path-to-regexp style pattern separated by ``.``.
+   *
+   * Params in the host are put into ``ctx.params`` just like those in the path.
+   *
+   * ```js
+   *router.host('api.:tenant.example.com', api.routes());
+   * ```
+   * @api public
+   */
+  host(host: string, ...middleware: Koa.IMiddleware[]): Router;
+
   all: IRouterHandler
   get: IRouterHandler
   post: IRouterHandler
@@ -169,6 +567,37 @@ declare class Router {
    * @api public
    */
   param(param: string, ...middleware: Koa.IParamMiddleware[]): Router
+  /**
+   * Map the given param placeholder to what the param transformers turn ``args`` into, e.g. a RegExp validating the param, or a loader with a ``load(val, ctx)`` method loading it into ``ctx.state``.
+   * @api public
+   */
+  param(param: string, ...args: any[]): Router
+
+  /**
+   * Add a param transformer, which turns what ``.param()`` is given into a param callback, or returns ``undefined`` to pass it on. Transformers of this router are applied before ``Router.paramTransformers``.
+   * @api public
+   */
+  paramTransformer(fn: ParamTransformer): Router
+
+  /**
+   * Handle the errors thrown by the layers of this router, including those in the routers mounted on it.
+   *
+   * Error handlers are called in order, each with what the previous one has thrown. One can recover by returning, or call ``next()`` to resume with the next matching layer. Errors thrown by the layers after this router are not handled here.
+   * @api public
+   */
+  catch(...handlers: ErrorHandler[]): Router
+
+  /**
+   * Use the given middlewares when a request enters this router, but no route in it, or in the routers mounted on it, matches. They are called before the request leaves this router, unless ``methodNotAllowed``, ``notImplemented`` or the automatic OPTIONS response takes effect, or the request leaves by ``next('router')``. Call ``next()`` to leave this router.
+   * @api public
+   */
+  notFound(...middlewares: Koa.IMiddleware[]): Router
+
+  /**
+   * Attach metadata to this router, which is merged shallowly down into ``ctx.routeMeta`` and ``.getRoutes()`` of the routes in it and in the routers mounted on it.
+   * @api public
+   */
+  meta(meta: { [key: string]: any }): Router
 
   /**
    * Create a new Route for the given path.
@@ -180,13 +609,171 @@ declare class Router {
    */
   route(path: string, query?: Query): Route
 
+  /**
+   * Remove the routes named ``nameOrPath``, or the routes and the middlewares used at the path ``nameOrPath``. With ``method``, only the handlers of ``method`` are removed from the routes, and routes left without handlers are removed as well. Requests in flight go on with the layers they started with.
+   *
+   * ```js
+   *router.remove('user.show');
+   *router.remove('/users/:id', 'delete');
+   * ```
+   * @param method e.g. ``'get'``, or ``'all'`` for the handlers of ``.all()``
+   * @returns whether anything is removed
+   * @api public
+   */
+  remove(nameOrPath: string, method?: string): boolean
+
+  /**
+   * Replace the middlewares used at the path ``path`` in place, keeping their position in the stack. Requests in flight go on with the layers they started with.
+   *
+   * ```js
+   *router.replace('/users', reloadedUsers.routes());
+   * ```
+   * @api public
+   */
+  replace(path: string, ...middleware: Koa.IMiddleware[]): Router;
+  replace(path: string, query: Query, ...middleware: Koa.IMiddleware[]): Router;
+  /**
+   * Replace the handlers of ``method`` of the routes named ``nameOrPath``, or of the routes with the path ``nameOrPath``, in place. Requests in flight go on with the handlers they started with.
+   *
+   * ```js
+   *router.replace('user.show', 'get', showUserV2);
+   * ```
+   * @api public
+   */
+  replace(nameOrPath: string, method: string, ...middlewares: Koa.IMiddleware[]): Router;
+  replace(nameOrPath: string, method: string, query: Query, ...middlewares: Koa.IMiddleware[]): Router;
+
+  /**
+   * Remove all the layers, leaving the params, error handlers and not found handlers. Requests in flight go on with the layers they started with.
+   * @api public
+   */
+  clear(): Router
+
+  /**
+   * Build the url of the route named ``name``.
+   *
+   * Routers mounted by ``.use()`` are searched as well. Their mount paths and the ``prefix`` of every router on the way are taken into account, so the url is correct from where this router is exported.
+   *
+   * ```js
+   *router.get('user.show', '/users/:id', showUser);
+   *
+   *router.url('user.show', { id: 5 }, { query: { tab: 'posts' } });
+   * // => '/users/5?tab=posts'
+   * ```
+   * @api public
+   */
+  url(name: string, params?: { [key: string]: any }, options?: UrlOptions): string
+
+  /**
+   * List the routes of this router and the routers mounted on it.
+   *
+   * Every HTTP method of a route gets its own entry, ``ALL`` for ``.all()``.
+   * @api public
+   */
+  getRoutes(): RouteInfo[]
+
+  /**
+   * Generate an OpenAPI 3 document of the routes of this router and the routers mounted on it.
+   *
+   * Path params, query and headers conditions, ``validate`` schemas and the ``openapi`` metadata of handlers are described.
+   * @param options merged into the document
+   * @api public
+   */
+  toOpenAPI(options?: { info?: { [field: string]: any }, [field: string]: any }): { [field: string]: any }
+
   /**
    * default options of a Router.
    */
   public static defaultOptions: Options
+
+  /**
+   * param transformers of all routers, which by default validate params with RegExps and load them with loaders
+   */
+  public static paramTransformers: ParamTransformer[]
+
+  /**
+   * collector of request metrics labelled by route templates
+   */
+  public static Metrics: typeof Metrics
+
+  /**
+   * a shared collector of request metrics
+   */
+  public static metrics: Metrics
+
+  /**
+   * Create a router serving the operations of an OpenAPI 3 spec.
+   *
+   * Every operation becomes a route named by its ``operationId`` and handled by ``handlers[operationId]``, or responds ``501`` if there is no such handler. Path and query parameters, and required JSON request bodies, are validated before the handlers run. Handlers of no operation, likely typos of operationIds, throw a ``TypeError``.
+   * @api public
+   */
+  public static fromOpenAPI(spec: { [field: string]: any }, handlers?: { [operationId: string]: Koa.IMiddleware | Koa.IMiddleware[] }, options?: Options): Router
+
+  /**
+   * Register a type of route params, used as in ``/users/:id<int>``. Built-in types are ``int``, ``number``, ``slug``, ``uuid`` and ``date``.
+   * @api public
+   */
+  public static registerParamType(name: string, type: ParamType): typeof Router
+
+  /**
+   * Get the routing context of the request being handled where this is called, even deep below the handlers without ``ctx``, and after ``await``. Call ``Router.enableCurrent()`` first.
+   * @returns ``undefined`` outside of routers, or if not enabled
+   * @api public
+   */
+  public static current(): RoutingContext | undefined
+
+  /**
+   * Keep the routing context of requests for ``Router.current()``, which slows down every request. Requires ``AsyncLocalStorage`` of Node.js 12.17 or later.
+   * @api public
+   */
+  public static enableCurrent(): typeof Router
 }
 
 interface Route {
+  /**
+   * Name this route, so that its url can be built by ``Router#url``.
+   * @api public
+   */
+  name(name: string): Route
+
+  /**
+   * Set the CORS policy of this route, which is merged over the ``cors`` option of the router.
+   * @api public
+   */
+  cors(policy: CorsPolicy): Route
+
+  /**
+   * Handle the errors thrown by the handlers of this route, the same way as ``Router#catch`` does.
+   * @api public
+   */
+  catch(...handlers: ErrorHandler[]): Route
+
+  /**
+   * Use the given middlewares when the request reaches the end of this route without any handler of its method called. Call ``next()`` to leave this route.
+   * @api public
+   */
+  notFound(...middlewares: Koa.IMiddleware[]): Route
+
+  /**
+   * Attach metadata to this route, which is merged over that of the routers on the way, and under that of the handlers of each method.
+   * @api public
+   */
+  meta(meta: { [key: string]: any }): Route
+
+  /**
+   * Remove the handlers of ``method``, or those added by ``.all()`` if it is ``'all'``. Requests in flight go on with the handlers they started with.
+   * @returns whether any handler is removed
+   * @api public
+   */
+  remove(method: string): boolean
+
+  /**
+   * Replace the handlers of ``method``, or those added by ``.all()`` if it is ``'all'``, where the first of them is, or add them if there are none. Requests in flight go on with the handlers they started with.
+   * @api public
+   */
+  replace(method: string, ...middlewares: Koa.IMiddleware[]): Route;
+  replace(method: string, query: Query, ...middlewares: Koa.IMiddleware[]): Route;
+
   all: IRouteHandler
   get: IRouteHandler
   post: IRouteHandler
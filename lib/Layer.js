@@ -13,6 +13,8 @@
  */
 const pathRegexp = require('path-to-regexp');
 const debug = require('debug')('koa-express-router:layer');
+const { touch, assertVersion, versionMatch } = require('./version');
+const { expandParamTypes } = require('./paramTypes');
 
 /**
  * Module constiables.
@@ -39,9 +41,16 @@ class Layer {
     this.method = undefined;
     this.handle = fn;
     this.name = fn.name || '<anonymous>';
-    this.params = undefined;
-    /** @type {string} */
-    this.path = undefined;
+    /**
+     * the path this layer is registered with
+     * @type {string | RegExp | (string | RegExp)[]}
+     */
+    this.pattern = path;
+    /**
+     * the path given to `Router#use()`, without the prefix of the router used
+     * @type {string | RegExp | (string | RegExp)[]}
+     */
+    this.mountPath = undefined;
 
     this._query = undefined;
     /** @type {{[key: string]: (expected: any, actual: any) => boolean}} */
@@ -49,8 +58,51 @@ class Layer {
     /** @type {string[]} */
     this.queryKeys = [];
 
+    this._headers = undefined;
+    /** @type {{[key: string]: (expected: any, actual: any) => boolean}} */
+    this.headersCheckers = {};
+    /** @type {string[]} */
+    this.headersKeys = [];
+
+    /**
+     * media types the handler produces, negotiated by `Route#dispatch`
+     * @type {string[]}
+     */
+    this.accepts = undefined;
+
+    /** @type {string} */
+    this._version = undefined;
+
+    /**
+     * metadata merged into that of the routes inside
+     * @type {Object}
+     */
+    this.meta = undefined;
+
+    this._host = undefined;
+    /** @type {RegExp} */
+    this.hostRegexp = undefined;
+    this.hostKeys = [];
+
     this.route = undefined;
-    this.regexp = pathRegexp(path, this.keys = [], opts);
+    const expanded = expandParamTypes(path);
+    /**
+     * types of typed params like ':id<int>', whose values get parsed
+     * @type {{[name: string]: ParamType}}
+     */
+    this.paramTypes = expanded.types;
+    this.regexp = pathRegexp(expanded.path, this.keys = [], opts);
+    /**
+     * each of the paths of a path array, to tell which one a request matches
+     * @type {{pattern: string | RegExp, keys: Object[], regexp: RegExp}[]}
+     */
+    this.paths = undefined;
+    if (Array.isArray(path)) {
+      this.paths = path.map((pattern, i) => {
+        const keys = [];
+        return { pattern, keys, regexp: pathRegexp(expanded.path[i], keys, opts) };
+      });
+    }
 
     // set fast path flags
     // @ts-ignore
@@ -71,64 +123,172 @@ class Layer {
   }
 
   /**
-   * Check if this route matches `path`, if so
-   * populate `.params`.
+   * Check if this layer matches `path` and `host`.
+   *
+   * Conditions are checked by `.conditionsMatch()` separately.
+   *
+   * Nothing is stored on the layer, which is shared by concurrent requests.
+   *
+   * @typedef  {Object}  LayerMatch
+   * @property {Layer}   layer
+   * @property {{[name: string]: any}} params  params in the host and the path
+   * @property {{[name: string]: string}} rawParams  the params decoded but not parsed
+   * @property {string}  path    part of `path` matched
+   * @property {string | RegExp} pattern  the path of the layer matched,
+   *   one of those in a path array
    *
    * @param  {string}  path
-   * @param  {any}     query
-   * @return {boolean}
+   * @param  {string}  [host]
+   * @return {Readonly<LayerMatch>}  `undefined` if not matched
    * @api public
    */
+  match(path, host) {
+    // params in the path take precedence over those in the host
+    const hostParams = this.hostMatch(host);
+    if (path === null || !hostParams) {
+      return undefined;
+    }
 
-  match(path, query) {
-    let match;
-    const queryMatched = this.queryMatch(query);
-
-    if (path !== null) {
-      // fast path non-ending match for / (any path matches)
-      // @ts-ignore
-      if (this.regexp.fast_slash) {
-        this.params = {};
-        this.path = '';
-        return queryMatched;
-      }
-
-      // fast path for * (everything matched in a param)
-      // @ts-ignore
-      if (this.regexp.fast_star) {
-        this.params = { 0: decode_param(path) };
-        this.path = path;
-        return queryMatched;
-      }
+    // fast path non-ending match for / (any path matches)
+    // @ts-ignore
+    if (this.regexp.fast_slash) {
+      return createMatch(this, hostParams, Object.assign({}, hostParams), '', this.pattern);
+    }
 
-      // match the path
-      match = this.regexp.exec(path);
+    // fast path for * (everything matched in a param)
+    // @ts-ignore
+    if (this.regexp.fast_star) {
+      const params = Object.assign(hostParams, { 0: decode_param(path) });
+      return createMatch(this, params, Object.assign({}, params), path, this.pattern);
     }
 
+    // match the path
+    const match = this.regexp.exec(path);
     if (!match) {
-      this.params = undefined;
-      this.path = undefined;
-      return false;
+      return undefined;
     }
 
-    // store values
-    this.params = {};
-    this.path = match[0];
-
     const keys = this.keys;
-    const params = this.params;
+    const params = hostParams;
+    const rawParams = Object.assign({}, hostParams);
 
     for (let i = 1; i < match.length; i += 1) {
       const key = keys[i - 1];
       const prop = key.name;
-      const val = decode_param(match[i]);
+      const type = this.paramTypes[prop];
+      const raw = decode_param(match[i]);
+      const val = type && type.parse
+        ? parse_param(key, type, match[i])
+        : raw;
 
       if (val !== undefined || !(hasOwnProperty.call(params, prop))) {
         params[prop] = val;
+        rawParams[prop] = raw;
+      }
+    }
+
+    const matched = this.paths && this.paths.find(one => one.regexp.test(path));
+    return createMatch(this, params, rawParams, match[0], matched ? matched.pattern : this.pattern);
+  }
+
+  /**
+   * getter for this.host
+   * @api private
+   */
+  get host() {
+    return this._host;
+  }
+
+  /**
+   * setter for this.host, a path-to-regexp style pattern
+   * matched against the hostname, e.g. 'api.:tenant.example.com'
+   * @api public
+   */
+  set host(newHost) {
+    this.hostKeys = [];
+    if (!newHost) {
+      this._host = undefined;
+      this.hostRegexp = undefined;
+      return;
+    }
+    this._host = newHost;
+    this.hostRegexp = pathRegexp(newHost, this.hostKeys, {
+      delimiter: '.',
+      strict: true,
+      end: true,
+    });
+  }
+
+  /**
+   * check whether host matches current layer
+   * @param  {string} host
+   * @return {Object} params in the host, `undefined` if not matched
+   * @api private
+   */
+  hostMatch(host) {
+    if (!this.hostRegexp) {
+      return {};
+    }
+
+    const match = typeof host === 'string' && this.hostRegexp.exec(host);
+    if (!match) {
+      return undefined;
+    }
+
+    const params = {};
+    for (let i = 1; i < match.length; i += 1) {
+      const prop = this.hostKeys[i - 1].name;
+      if (match[i] !== undefined || !(hasOwnProperty.call(params, prop))) {
+        params[prop] = match[i];
       }
     }
+    return params;
+  }
 
-    return queryMatched;
+  /**
+   * getter for this.version
+   * @api private
+   */
+  get version() {
+    return this._version;
+  }
+
+  /**
+   * setter for this.version, a semver range of the versions served
+   * @api public
+   */
+  set version(newVersion) {
+    if (newVersion === undefined && this._version === undefined) {
+      return;
+    }
+    if (newVersion !== undefined) {
+      assertVersion(newVersion);
+    }
+    this._version = newVersion;
+    touch();
+  }
+
+  /**
+   * set conditions of this layer, where `host`, `headers`, `accepts`,
+   * `version` and `meta` are taken as such, and the rest as the query condition
+   * @param {any} conditions
+   * @api private
+   */
+  setConditions(conditions) {
+    const query = Object.assign({}, conditions);
+    this.host = query.host;
+    this.headers = query.headers;
+    if (query.accepts) {
+      this.accepts = [].concat(query.accepts);
+    }
+    this.version = query.version;
+    this.meta = query.meta;
+    delete query.host;
+    delete query.headers;
+    delete query.accepts;
+    delete query.version;
+    delete query.meta;
+    this.query = query;
   }
 
   /**
@@ -152,29 +312,7 @@ class Layer {
     }
     this._query = newQuery;
     this.queryKeys = Object.keys(newQuery);
-    this.queryCheckers = {};
-    // set checkers
-    this.queryKeys.forEach((key) => {
-      let checker;
-      if (typeof newQuery[key] === 'string') {
-        checker = (expected, actual) => actual === expected;
-      } else if (newQuery[key] instanceof RegExp) {
-        checker = (expected, actual) => expected.exec(actual);
-      } else if (Array.isArray(newQuery[key])) {
-        checker = (expected, actual) => expected.indexOf(actual) !== -1;
-      } else if (typeof newQuery[key] === 'function') {
-        checker = (expected, actual) => expected(actual);
-      } else {
-        checker = (expected, actual) => {
-          try {
-            return expected === JSON.parse(actual);
-          } catch (e) {
-            return false;
-          }
-        };
-      }
-      this.queryCheckers[key] = checker;
-    });
+    this.queryCheckers = createCheckers(newQuery);
   }
 
   /**
@@ -187,15 +325,153 @@ class Layer {
       return true;
     }
 
+    const query = actualQuery || {};
     return this.queryKeys.every((key) => {
       const check = this.queryCheckers[key];
-      return check(this._query[key], actualQuery[key]);
+      return check(this._query[key], query[key]);
     });
   }
+
+  /**
+   * getter for this.headers
+   * @api private
+   */
+  get headers() {
+    return this._headers;
+  }
+
+  /**
+   * setter for this.headers, which takes the same checkers as this.query
+   * @api public
+   */
+  set headers(newHeaders) {
+    if (!newHeaders || Object.keys(newHeaders).length === 0) {
+      this._headers = undefined;
+      this.headersKeys = [];
+      this.headersCheckers = {};
+      return;
+    }
+    // header names are case-insensitive
+    this._headers = {};
+    Object.keys(newHeaders).forEach((key) => {
+      this._headers[key.toLowerCase()] = newHeaders[key];
+    });
+    this.headersKeys = Object.keys(this._headers);
+    this.headersCheckers = createCheckers(this._headers);
+  }
+
+  /**
+   * check whether actualHeaders matches current layer
+   * @param {any} actualHeaders  header names in lower case
+   * @api private
+   */
+  headersMatch(actualHeaders) {
+    if (!this._headers) {
+      return true;
+    }
+
+    const headers = actualHeaders || {};
+    return this.headersKeys.every((key) => {
+      const check = this.headersCheckers[key];
+      return check(this._headers[key], headers[key]);
+    });
+  }
+
+  /**
+   * check whether actualQuery, actualHeaders and version match current layer
+   * @param {any}    actualQuery
+   * @param {any}    actualHeaders
+   * @param {string} [version]  version resolved for the request
+   * @api private
+   */
+  conditionsMatch(actualQuery, actualHeaders, version) {
+    return this.queryMatch(actualQuery)
+      && this.headersMatch(actualHeaders)
+      && versionMatch(this._version, version);
+  }
 }
 
 module.exports = Layer;
 
+/**
+ * Create the result of a layer matching a request
+ * @param  {Layer}  layer
+ * @param  {Object} params
+ * @param  {Object} rawParams
+ * @param  {string} path
+ * @param  {string | RegExp} pattern
+ * @return {Readonly<LayerMatch>}
+ * @private
+ */
+function createMatch(layer, params, rawParams, path, pattern) {
+  return Object.freeze({
+    layer, params, rawParams, path, pattern,
+  });
+}
+
+/**
+ * Create checkers for the values of conditions.
+ *
+ * @param  {{[key: string]: any}} conditions
+ * @return {{[key: string]: (expected: any, actual: any) => boolean}}
+ * @private
+ */
+function createCheckers(conditions) {
+  const checkers = {};
+  Object.keys(conditions).forEach((key) => {
+    let checker;
+    if (typeof conditions[key] === 'string') {
+      checker = (expected, actual) => actual === expected;
+    } else if (conditions[key] instanceof RegExp) {
+      checker = (expected, actual) => expected.exec(actual);
+    } else if (Array.isArray(conditions[key])) {
+      checker = (expected, actual) => expected.indexOf(actual) !== -1;
+    } else if (typeof conditions[key] === 'function') {
+      checker = (expected, actual) => expected(actual);
+    } else {
+      checker = (expected, actual) => {
+        try {
+          return expected === JSON.parse(actual);
+        } catch (e) {
+          return false;
+        }
+      };
+    }
+    checkers[key] = checker;
+  });
+  return checkers;
+}
+
+/**
+ * Parse param value of a typed param, where
+ * a repeated param gets an array of values.
+ *
+ * @param {Object}    key   path-to-regexp key
+ * @param {ParamType} type
+ * @param {string}    val
+ * @return {any}
+ * @private
+ */
+function parse_param(key, type, val) {
+  if (val === undefined) {
+    return val;
+  }
+
+  const parse = (one) => {
+    try {
+      return type.parse(decode_param(one));
+    } catch (err) {
+      // @ts-ignore
+      if (err.status === undefined) {
+        // @ts-ignore
+        err.status = err.statusCode = 400;
+      }
+      throw err;
+    }
+  };
+  return key.repeat ? val.split(key.delimiter).map(parse) : parse(val);
+}
+
 /**
  * Decode param value.
  *
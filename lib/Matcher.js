@@ -0,0 +1,174 @@
+/*!
+ * koa-express-router
+ * Copyright(c) 2017 Mensu Chen
+ * MIT Licensed
+ */
+
+/**
+ * Module dependencies.
+ * @private
+ */
+const pathRegexp = require('path-to-regexp');
+const debug = require('debug')('koa-express-router:matcher');
+
+/**
+ * Module exports.
+ * @public
+ */
+class Matcher {
+  /**
+   * Build a prefix tree over the static segments the paths of `layers`
+   * start with, so that only the layers that may match a path get tried.
+   *
+   * Layers whose paths start with a parameter, or are not strings,
+   * sit at the root and are tried for every path.
+   *
+   * @param {Layer[]}                 layers
+   * @param {{sensitive?: boolean}}   [options]
+   */
+  constructor(layers, options = {}) {
+    debug('compile %d layers', layers.length);
+    this.layers = layers;
+    this.length = layers.length;
+    this.sensitive = Boolean(options.sensitive);
+    this.root = createNode();
+
+    // the last lookup, since a path is usually looked up
+    // several times while dispatching a request
+    this.lastPath = undefined;
+    /** @type {number[]} */
+    this.lastCandidates = undefined;
+
+    for (let i = 0; i < layers.length; i += 1) {
+      let node = this.root;
+      for (const segment of staticSegments(layers[i].pattern)) {
+        const key = this.normalize(segment);
+        if (!node.children[key]) {
+          node.children[key] = createNode();
+        }
+        node = node.children[key];
+      }
+      node.indices.push(i);
+    }
+  }
+
+  /**
+   * Check whether the matcher is still built on `layers`
+   * @param  {Layer[]} layers
+   * @return {boolean}
+   * @api private
+   */
+  isBuiltOn(layers) {
+    return this.layers === layers && this.length === layers.length;
+  }
+
+  /**
+   * Get the indices of layers that may match `path`, in stack order
+   *
+   * @param  {string}   path
+   * @return {number[]}
+   * @api private
+   */
+  candidates(path) {
+    if (path === this.lastPath) {
+      return this.lastCandidates;
+    }
+
+    const segments = path.split('/');
+    const indices = [];
+    let node = this.root;
+    let i = 0;
+    while (node) {
+      for (let j = 0; j < node.indices.length; j += 1) {
+        indices.push(node.indices[j]);
+      }
+
+      // skip empty segments, which never take part in the tree
+      while (i < segments.length && segments[i].length === 0) {
+        i += 1;
+      }
+      node = i < segments.length
+        ? node.children[this.normalize(segments[i])]
+        : undefined;
+      i += 1;
+    }
+    indices.sort((a, b) => a - b);
+
+    this.lastPath = path;
+    this.lastCandidates = indices;
+    return indices;
+  }
+
+  /**
+   * Get the first index in `candidates` not less than `idx`,
+   * or `this.length` if there is none
+   *
+   * @param  {number[]} candidates
+   * @param  {number}   idx
+   * @return {number}
+   * @api private
+   */
+  next(candidates, idx) {
+    let low = 0;
+    let high = candidates.length;
+    while (low < high) {
+      const mid = Math.floor((low + high) / 2);
+      if (candidates[mid] < idx) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return low < candidates.length ? candidates[low] : this.length;
+  }
+
+  /**
+   * normalize a segment for lookup
+   * @param  {string} segment
+   * @return {string}
+   * @api private
+   */
+  normalize(segment) {
+    return this.sensitive ? segment : segment.toLowerCase();
+  }
+}
+
+module.exports = Matcher;
+
+// create a node of the prefix tree
+function createNode() {
+  return {
+    /** @type {{[segment: string]: any}} */
+    children: Object.create(null),
+    /** @type {number[]} */
+    indices: [],
+  };
+}
+
+/**
+ * Get the static segments a path starts with.
+ *
+ * Only whole segments count: '/users/:id' gives ['users'],
+ * while '/user-:id' and '/users.:format' give [].
+ *
+ * @param  {string | RegExp | (string | RegExp)[]} path
+ * @return {string[]}
+ * @private
+ */
+function staticSegments(path) {
+  if (typeof path !== 'string') {
+    return [];
+  }
+
+  const tokens = pathRegexp.parse(path);
+  if (typeof tokens[0] !== 'string') {
+    return [];
+  }
+
+  const segments = tokens[0].split('/');
+  // a parameter right after the last segment without a '/' is part of it
+  if (tokens.length > 1 && tokens[1].prefix !== '/') {
+    segments.pop();
+  }
+  return segments.filter(segment => segment.length !== 0);
+}
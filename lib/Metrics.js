@@ -0,0 +1,192 @@
+/*!
+ * koa-express-router
+ * Copyright(c) 2017 Mensu Chen
+ * MIT Licensed
+ */
+
+/**
+ * Module dependencies.
+ * @private
+ */
+const debug = require('debug')('koa-express-router:metrics');
+
+/**
+ * Module constiables.
+ * @private
+ */
+// route label of requests dispatched into no route,
+// which cannot be taken for a route template starting with '/'
+const unmatchedRoute = 'unmatched';
+
+/**
+ * Module exports.
+ * @public
+ */
+class Metrics {
+  /**
+   * Collect the request counts, status codes and latencies of requests,
+   * labelled by the method and the full template of the route dispatched,
+   * e.g. '/orgs/:org/users/:id', rather than the raw url.
+   *
+   * @typedef  {Object}   MetricsOptions
+   * @property {string}   [prefix='http_']  prefix of the metric names
+   * @property {number[]} [buckets]         upper bounds of the latency buckets, in seconds
+   *
+   * @param {MetricsOptions} [options]
+   */
+  constructor(options = {}) {
+    this.prefix = options.prefix !== undefined ? options.prefix : 'http_';
+    this.buckets = (options.buckets || Metrics.defaultBuckets).slice().sort((a, b) => a - b);
+    /** @type {Map<string, {labels: Object, value: number}>} */
+    this.counters = new Map();
+    /** @type {Map<string, {labels: Object, buckets: number[], sum: number, count: number}>} */
+    this.histograms = new Map();
+  }
+
+  /**
+   * Record a request.
+   *
+   * @param {{method: string, route?: string, status: number, duration: number}} request
+   *   where `duration` is in seconds, and `route` is the template of the route dispatched
+   * @api public
+   */
+  record(request) {
+    const method = request.method.toUpperCase();
+    const route = request.route !== undefined ? request.route : unmatchedRoute;
+
+    const counterLabels = { method, route, status: String(request.status) };
+    const counterKey = JSON.stringify(counterLabels);
+    const counter = this.counters.get(counterKey) || { labels: counterLabels, value: 0 };
+    counter.value += 1;
+    this.counters.set(counterKey, counter);
+
+    const histogramLabels = { method, route };
+    const histogramKey = JSON.stringify(histogramLabels);
+    const histogram = this.histograms.get(histogramKey) || {
+      labels: histogramLabels,
+      buckets: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0,
+    };
+    this.buckets.forEach((bound, i) => {
+      if (request.duration <= bound) {
+        histogram.buckets[i] += 1;
+      }
+    });
+    histogram.sum += request.duration;
+    histogram.count += 1;
+    this.histograms.set(histogramKey, histogram);
+  }
+
+  /**
+   * Create a middleware recording the requests passing through it, once the
+   * rest of the middlewares settle. Use it before the routers, e.g.
+   * `app.use(Router.metrics.middleware())`, so that `ctx.matchedRoute`
+   * is set by then.
+   *
+   * @return {IMiddleware}
+   * @api public
+   */
+  middleware() {
+    const self = this;
+    return async function record_metrics(ctx, next) {
+      const start = process.hrtime();
+      let status;
+      try {
+        await next();
+        ({ status } = ctx);
+      } catch (err) {
+        status = err.status || err.statusCode || 500;
+        throw err;
+      } finally {
+        const [seconds, nanoseconds] = process.hrtime(start);
+        self.record({
+          method: ctx.method,
+          route: ctx.matchedRoute,
+          status,
+          duration: seconds + (nanoseconds / 1e9),
+        });
+      }
+    };
+  }
+
+  /**
+   * Create a middleware responding the metrics collected
+   * in the Prometheus text exposition format.
+   *
+   * ```js
+   *  router.get('/metrics', Router.metrics.handler());
+   * ```
+   *
+   * @return {IMiddleware}
+   * @api public
+   */
+  handler() {
+    const self = this;
+    return async function render_metrics(ctx) {
+      ctx.type = 'text/plain; version=0.0.4; charset=utf-8';
+      ctx.body = self.render();
+    };
+  }
+
+  /**
+   * Render the metrics collected in the Prometheus text exposition format.
+   *
+   * @return {string}
+   * @api public
+   */
+  render() {
+    const requests = `${this.prefix}requests_total`;
+    const duration = `${this.prefix}request_duration_seconds`;
+    const lines = [
+      `# HELP ${requests} Number of HTTP requests.`,
+      `# TYPE ${requests} counter`,
+    ];
+    this.counters.forEach((counter) => {
+      lines.push(`${requests}${formatLabels(counter.labels)} ${counter.value}`);
+    });
+
+    lines.push(`# HELP ${duration} Latency of HTTP requests in seconds.`);
+    lines.push(`# TYPE ${duration} histogram`);
+    this.histograms.forEach((histogram) => {
+      this.buckets.forEach((bound, i) => {
+        const labels = Object.assign({}, histogram.labels, { le: String(bound) });
+        lines.push(`${duration}_bucket${formatLabels(labels)} ${histogram.buckets[i]}`);
+      });
+      const labels = Object.assign({}, histogram.labels, { le: '+Inf' });
+      lines.push(`${duration}_bucket${formatLabels(labels)} ${histogram.count}`);
+      lines.push(`${duration}_sum${formatLabels(histogram.labels)} ${histogram.sum}`);
+      lines.push(`${duration}_count${formatLabels(histogram.labels)} ${histogram.count}`);
+    });
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Forget the metrics collected.
+   * @api public
+   */
+  reset() {
+    debug('reset');
+    this.counters.clear();
+    this.histograms.clear();
+  }
+}
+
+/**
+ * Default upper bounds of the latency buckets, in seconds.
+ * @type {number[]}
+ */
+Metrics.defaultBuckets = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+module.exports = Metrics;
+
+// format labels like '{method="GET",route="/users/:id"}'
+function formatLabels(labels) {
+  const pairs = Object.keys(labels).map(name => `${name}="${escapeLabelValue(labels[name])}"`);
+  return `{${pairs.join(',')}}`;
+}
+
+// escape backslashes, double quotes and line feeds in label values
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
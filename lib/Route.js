@@ -15,6 +15,17 @@ const { inspect } = require('util');
 const methods = require('methods');
 const debug = require('debug')('koa-express-router:route');
 const Layer = require('./Layer');
+const { createValidation } = require('./validate');
+const { isProfiling, startTimer } = require('./profiler');
+const { runInContext } = require('./context');
+
+/**
+ * Module constiables.
+ * @private
+ */
+// set once a handler of the method requested is called,
+// by which routers know whether the request is dispatched
+const methodHandled = Symbol('methodHandled');
 
 class Route {
   /**
@@ -25,6 +36,34 @@ class Route {
    */
   constructor(path) {
     this.path = path;
+    /** @type {string} */
+    this._name = undefined;
+    /** @type {CorsPolicy} */
+    this._cors = undefined;
+    /**
+     * validator compiling the `validate` schemas, defaults to the built-in one
+     * @type {Validator}
+     */
+    this.validator = undefined;
+    /**
+     * `validate` schemas of each method, for documentation
+     * @type {{[method: string]: Object}}
+     */
+    this.schemas = {};
+    /**
+     * `openapi` metadata of each method
+     * @type {{[method: string]: Object}}
+     */
+    this.docs = {};
+    /**
+     * metadata of each method, and of the route in `_all`
+     * @type {{[method: string]: Object}}
+     */
+    this.metadata = {};
+    /** @type {ErrorHandler[]} */
+    this.errorHandlers = [];
+    /** @type {IMiddleware[]} */
+    this.notFoundHandlers = [];
     /** @type {Layer[]} */
     this.stack = [];
 
@@ -54,12 +93,21 @@ class Route {
   }
 
   /**
-   * get supported HTTP methods
+   * Determine if the route has handlers of a given method,
+   * or handlers added by `.all()` if it is 'all'.
+   * @api private
+   */
+  _has_handlers(method) {
+    return Boolean(this.methods[toMethodName(method)]);
+  }
+
+  /**
+   * get supported HTTP methods, without those of `.all()`
    * @return {string[]} supported HTTP methods
    * @api private
    */
   _options() {
-    const methodsArr = Object.keys(this.methods);
+    const methodsArr = Object.keys(this.methods).filter(name => name !== '_all');
 
     // append automatic head
     if (this.methods.get && !this.methods.head) {
@@ -76,11 +124,17 @@ class Route {
 
   /**
    * dispatch ctx into this route
+   *
+   * Among the handlers with `accepts` conditions, only those for the
+   * media type best accepted by the request are called, or 406 is
+   * responded if none of the media types is acceptable.
+   *
    * @param {Context} ctx
    * @param {{(signal?: string): any}} next
    * @api public
   */
   async dispatch(ctx, next = () => {}) {
+    const self = this;
     let idx = 0;
     const stack = this.stack;
     if (stack.length === 0) {
@@ -93,37 +147,294 @@ class Route {
     }
 
     ctx.route = this;
+    if (this.metadata._all || this.metadata[method]) {
+      ctx.routeMeta = Object.assign({}, ctx.routeMeta, this.metadata._all, this.metadata[method]);
+    }
+
+    // negotiate among the media types handlers of this method produce
+    const types = [];
+    for (let i = 0; i < stack.length; i += 1) {
+      const layer = stack[i];
+      if (layer.accepts && (!layer.method || layer.method === method) && applies(layer, ctx)) {
+        appendTypes(types, layer.accepts);
+      }
+    }
+    const accepted = types.length !== 0 ? ctx.accepts(types) : undefined;
+    // whether a handler of this method has been called
+    let handled = false;
+    let notFoundIdx = 0;
+
+    // errors from after this route, or given up on by its error handlers,
+    // which are not to be handled here
+    const passed = new Set();
+
+    return runInContext(ctx, () => route_next().catch(handle_error));
+
+    // pass err to the error handlers of this route in order
+    async function handle_error(err) {
+      let error = err;
+      for (let i = 0; i < self.errorHandlers.length && !passed.has(error); i += 1) {
+        try {
+          return await self.errorHandlers[i](error, ctx, resume);
+        } catch (e) {
+          error = e;
+        }
+      }
+      passed.add(error);
+      throw error;
+    }
+
+    // resume with the next matching handler, whose errors are handled here as well
+    function resume(signal) {
+      return route_next(signal).catch(handle_error);
+    }
 
-    return route_next();
+    // call next to leave this route, passing the errors from there
+    async function next_out(signal) {
+      try {
+        return await next(signal);
+      } catch (err) {
+        passed.add(err);
+        throw err;
+      }
+    }
 
     async function route_next(signal) {
       // signal to skip current route
+      // passed on for the router to know
       if (signal && signal === 'route') {
-        return next();
+        return next_out(signal);
       }
 
       // signal to skip current router
       if (signal && signal === 'router') {
-        return next(signal);
+        return next_out(signal);
       }
 
       const layer = stack[idx];
       idx += 1;
       if (!layer) {
-        return next();
+        // none of the media types is acceptable
+        if (accepted === false && !handled) {
+          ctx.status = 406;
+          return;
+        }
+        if (!handled && self.notFoundHandlers.length !== 0) {
+          return not_found();
+        }
+        return next_out();
       }
 
       if (layer.method && layer.method !== method) {
         return route_next();
       }
 
-      if (!layer.queryMatch(ctx.query)) {
+      if (!applies(layer, ctx)) {
         return route_next();
       }
 
+      if (layer.accepts && layer.accepts.indexOf(accepted) === -1) {
+        return route_next();
+      }
+
+      if (layer.method) {
+        handled = true;
+        ctx[methodHandled] = true;
+      }
+
       // ==> middleware(ctx, next)
-      return layer.handle_request(ctx, route_next);
+      if (!isProfiling(ctx)) {
+        return layer.handle_request(ctx, route_next);
+      }
+      const timer = startTimer(ctx, {
+        type: 'handler',
+        name: layer.name,
+        path: ctx.matchedRoute || String(self.path),
+        method: layer.method ? layer.method.toUpperCase() : undefined,
+      });
+      try {
+        return await layer.handle_request(ctx, timer.exclude(route_next));
+      } finally {
+        timer.end();
+      }
     }
+
+    // 404 handlers, which call next to leave this route
+    async function not_found() {
+      const handler = self.notFoundHandlers[notFoundIdx];
+      notFoundIdx += 1;
+      if (!handler) {
+        return next_out();
+      }
+      return handler(ctx, not_found);
+    }
+  }
+
+  /**
+   * Name this route, so that its url can be built by `Router#url`.
+   *
+   * ```js
+   *   router.route('/users/:id')
+   *   .name('user.show')
+   *   .get(show_user);
+   *
+   *   router.url('user.show', { id: 5 }); // => '/users/5'
+   *```
+   * @param  {string} name
+   * @api public
+   */
+  name(name) {
+    debug('name %o %s', this.path, name);
+    this._name = name;
+    return this;
+  }
+
+  /**
+   * Set the CORS policy of this route, which is merged over
+   * the `cors` option of the router.
+   *
+   * ```js
+   *   router.route('/public/items')
+   *   .cors({ origin: '*', credentials: false })
+   *   .get(list_items);
+   *```
+   * @param  {CorsPolicy} policy
+   * @api public
+   */
+  cors(policy) {
+    this._cors = policy;
+    return this;
+  }
+
+  /**
+   * Attach metadata to this route, which is merged over that of
+   * the routers on the way, and under that of the handlers of
+   * each method, e.g. `.get({ meta: {...} }, handler)`.
+   *
+   * ```js
+   *   router.route('/admin/users')
+   *   .meta({ roles: ['admin'], audit: true })
+   *   .get(list_users);
+   *```
+   * @param  {Object} meta
+   * @api public
+   */
+  meta(meta) {
+    this.metadata._all = Object.assign({}, this.metadata._all, meta);
+    return this;
+  }
+
+  /**
+   * Handle the errors thrown by the handlers of this route,
+   * the same way as `Router#catch()` does.
+   *
+   * ```js
+   *   router.route('/users/:id')
+   *   .get(show_user)
+   *   .catch(async (err, ctx, next) => {
+   *     if (err.name !== 'NotFoundError') throw err;
+   *     ctx.status = 404;
+   *   });
+   *```
+   * @param  {...ErrorHandler} handlers
+   * @api public
+   */
+  catch(...handlers) {
+    for (const handler of handlers) {
+      if (typeof handler !== 'function') {
+        throw new TypeError(`Route.catch() requires a function but got a ${inspect(handler, { depth: null })}`);
+      }
+      this.errorHandlers.push(handler);
+    }
+    return this;
+  }
+
+  /**
+   * Use the given middlewares when the request reaches the end of this route
+   * without any handler of its method called, e.g. as none of them has
+   * the conditions met. Call `next()` to leave this route.
+   *
+   * ```js
+   *   router.route('/reports')
+   *   .get({ format: 'csv' }, export_csv)
+   *   .notFound(async (ctx) => {
+   *     ctx.status = 404;
+   *     ctx.body = { message: 'unsupported report format' };
+   *   });
+   *```
+   * @param  {...IMiddleware} middlewares
+   * @api public
+   */
+  notFound(...middlewares) {
+    for (const fn of middlewares) {
+      if (typeof fn !== 'function') {
+        throw new TypeError(`Route.notFound() requires a middleware function but got a ${inspect(fn, { depth: null })}`);
+      }
+      this.notFoundHandlers.push(fn);
+    }
+    return this;
+  }
+
+  /**
+   * Remove the handlers of `method`, or those added by `.all()` if it is 'all'.
+   *
+   * The stack is replaced rather than changed, so that requests in flight
+   * go on with the handlers they started with.
+   *
+   * @param  {string}  method
+   * @return {boolean} whether any handler is removed
+   * @api public
+   */
+  remove(method) {
+    if (!this._has_handlers(method)) {
+      return false;
+    }
+    const methodName = toMethodName(method);
+    debug('remove %s %o', methodName, this.path);
+    this.stack = this.stack.filter(layer => (layer.method || '_all') !== methodName);
+    delete this.methods[methodName];
+    delete this.schemas[methodName];
+    delete this.docs[methodName];
+    delete this.metadata[methodName];
+    return true;
+  }
+
+  /**
+   * Replace the handlers of `method`, or those added by `.all()` if it is 'all',
+   * where the first of them is, or add them if there are none.
+   * The arguments after `method` are those of `.get()`, `.post()`, etc.
+   *
+   * ```js
+   *  route.replace('get', { accepts: 'json' }, show_user_v2);
+   * ```
+   *
+   * @param  {string}         method
+   * @param  {...IMiddleware} middlewares
+   * @api public
+   */
+  replace(method, ...middlewares) {
+    const methodName = toMethodName(method);
+    // build the handlers aside, leaving the route untouched if they are invalid
+    const replacement = new Route(this.path);
+    replacement.validator = this.validator;
+    replacement.method(methodName, ...middlewares);
+    if (replacement.stack.length === 0) {
+      throw new TypeError(`Route.replace() requires callback functions for ${method}`);
+    }
+
+    let index = this.stack.findIndex(layer => (layer.method || '_all') === methodName);
+    this.remove(method);
+    if (index === -1) {
+      index = this.stack.length;
+    }
+    this.stack = this.stack.slice(0, index).concat(replacement.stack, this.stack.slice(index));
+    this.methods[methodName] = true;
+    ['schemas', 'docs', 'metadata'].forEach((key) => {
+      if (replacement[key][methodName]) {
+        this[key][methodName] = replacement[key][methodName];
+      }
+    });
+    return this;
   }
 
   /**
@@ -168,6 +479,23 @@ class Route {
     if (middlewares[0] && typeof middlewares[0] !== 'function') {
       query = middlewares.shift();
     }
+    // validate the request before the handlers
+    if (query && query.validate) {
+      query = Object.assign({}, query);
+      middlewares.unshift(createValidation(query.validate, this.validator));
+      this.schemas[methodName] = Object.assign({}, this.schemas[methodName], query.validate);
+      delete query.validate;
+    }
+    if (query && query.openapi) {
+      query = Object.assign({}, query);
+      this.docs[methodName] = Object.assign({}, this.docs[methodName], query.openapi);
+      delete query.openapi;
+    }
+    if (query && query.meta) {
+      query = Object.assign({}, query);
+      this.metadata[methodName] = Object.assign({}, this.metadata[methodName], query.meta);
+      delete query.meta;
+    }
     const isAll = methodName === '_all';
     for (let i = 0; i < middlewares.length; i += 1) {
       const handle = middlewares[i];
@@ -181,7 +509,7 @@ class Route {
 
       const layer = new Layer('/', {}, handle);
       layer.method = isAll ? undefined : methodName;
-      layer.query = query;
+      layer.setConditions(query);
 
       this.methods[methodName] = true;
       this.stack.push(layer);
@@ -201,3 +529,25 @@ methods.forEach((method) => {
 Route.prototype.del = Route.prototype.delete;
 
 module.exports = Route;
+module.exports.methodHandled = methodHandled;
+
+// get the key of method in `route.methods`, '_all' for 'all'
+function toMethodName(method) {
+  const name = method.toLowerCase();
+  return name === 'all' ? '_all' : name;
+}
+
+// whether the conditions of layer are met by ctx
+function applies(layer, ctx) {
+  return Boolean(layer.hostMatch(ctx.hostname))
+    && layer.conditionsMatch(ctx.query, ctx.headers, ctx.version);
+}
+
+// append media types to a list of media types
+function appendTypes(list, addition) {
+  for (let i = 0; i < addition.length; i += 1) {
+    if (list.indexOf(addition[i]) === -1) {
+      list.push(addition[i]);
+    }
+  }
+}
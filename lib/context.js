@@ -0,0 +1,76 @@
+/*!
+ * koa-express-router
+ * Copyright(c) 2017 Mensu Chen
+ * MIT Licensed
+ */
+
+/**
+ * Module constiables.
+ * @private
+ */
+/**
+ * storage of the ctx being routed, `null` until enabled,
+ * as async context tracking slows down every request
+ * @type {{run(store: any, fn: Function): any, getStore(): any}}
+ */
+let storage = null;
+
+/**
+ * Start keeping the ctx being routed for `currentContext()`.
+ *
+ * @api private
+ */
+function enableContext() {
+  if (storage) {
+    return;
+  }
+  const AsyncLocalStorage = loadAsyncLocalStorage();
+  if (!AsyncLocalStorage) {
+    throw new Error('Router.current() requires AsyncLocalStorage of Node.js 12.17 or later');
+  }
+  storage = new AsyncLocalStorage();
+}
+
+/**
+ * Call `fn` with `ctx` as the current context of the code it runs,
+ * asynchronous or not, unless it is the current one already,
+ * or keeping the current context is not enabled.
+ *
+ * @template T
+ * @param  {Context}  ctx
+ * @param  {() => T}  fn
+ * @return {T}
+ * @api private
+ */
+function runInContext(ctx, fn) {
+  if (!storage || storage.getStore() === ctx) {
+    return fn();
+  }
+  return storage.run(ctx, fn);
+}
+
+/**
+ * Get the ctx being routed where this is called.
+ *
+ * @return {Context} `undefined` outside of routers, or if not enabled
+ * @api private
+ */
+function currentContext() {
+  return storage ? storage.getStore() : undefined;
+}
+
+module.exports = {
+  enableContext,
+  runInContext,
+  currentContext,
+};
+
+// get `AsyncLocalStorage`, which is missing before Node.js 12.17,
+// and so is `async_hooks` itself before Node.js 8.1
+function loadAsyncLocalStorage() {
+  try {
+    return require('async_hooks').AsyncLocalStorage;
+  } catch (err) {
+    return undefined;
+  }
+}
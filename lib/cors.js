@@ -0,0 +1,163 @@
+/*!
+ * koa-express-router
+ * Copyright(c) 2017 Mensu Chen
+ * MIT Licensed
+ */
+
+/**
+ * CORS policy of a router or a route.
+ *
+ * @typedef  {string | RegExp | (string | RegExp)[] | boolean} Origins
+ *
+ * @typedef  {Object}   CorsPolicy
+ * @property {Origins | {(origin: string, ctx: Context): Origins}} [origin='*']
+ *   allowed origins, `true` to allow any origin by reflecting it
+ * @property {string | string[]} [headers]
+ *   allowed request headers, defaults to reflecting `Access-Control-Request-Headers`
+ * @property {string | string[]} [exposeHeaders]
+ * @property {boolean}           [credentials=false]
+ * @property {number}            [maxAge]  seconds to cache the preflight response
+ */
+
+/**
+ * CORS policy of the routes matched, or of a router inside,
+ * collected for preflight requests.
+ *
+ * @typedef  {Object}     MethodsPolicy
+ * @property {string[]}   methods  methods the policy applies to
+ * @property {CorsPolicy} policy
+ */
+
+/**
+ * Check whether `ctx` is a CORS preflight request
+ * @param  {Context} ctx
+ * @return {boolean}
+ * @api private
+ */
+function isPreflight(ctx) {
+  return ctx.method === 'OPTIONS'
+    && Boolean(ctx.get('Origin'))
+    && Boolean(ctx.get('Access-Control-Request-Method'));
+}
+
+/**
+ * Set the CORS headers of an actual request
+ * @param  {Context}    ctx
+ * @param  {CorsPolicy} policy
+ * @return {boolean}    whether the origin is allowed
+ * @api private
+ */
+function setCorsHeaders(ctx, policy) {
+  const origin = allowedOrigin(ctx, policy);
+  if (!origin) {
+    return false;
+  }
+
+  setOriginHeaders(ctx, policy, origin);
+  if (policy.exposeHeaders) {
+    ctx.set('Access-Control-Expose-Headers', toList(policy.exposeHeaders));
+  }
+  return true;
+}
+
+/**
+ * Set the CORS headers of a preflight request, by the policies of the
+ * routes handling the method requested, merged over that of the router.
+ * Only the methods whose policies allow the origin are told.
+ *
+ * @param  {Context}         ctx
+ * @param  {CorsPolicy}      base      policy of the router, if any
+ * @param  {MethodsPolicy[]} policies  of the routes and routers inside, in order
+ * @param  {string[]}        methods   methods allowed on the matched path
+ * @return {boolean}         whether the origin is allowed
+ * @api private
+ */
+function setPreflightHeaders(ctx, base, policies, methods) {
+  const policy = policyOf(base, policies, ctx.get('Access-Control-Request-Method').toUpperCase());
+  const origin = policy && allowedOrigin(ctx, policy);
+  if (!origin) {
+    return false;
+  }
+
+  const allowed = methods.filter((method) => {
+    const one = policyOf(base, policies, method);
+    return one !== undefined && allowedOrigin(ctx, one) !== undefined;
+  });
+  setOriginHeaders(ctx, policy, origin);
+  ctx.set('Access-Control-Allow-Methods', allowed.join(','));
+
+  const headers = policy.headers === undefined
+    ? ctx.get('Access-Control-Request-Headers')
+    : toList(policy.headers);
+  if (headers) {
+    ctx.set('Access-Control-Allow-Headers', headers);
+  }
+  if (policy.maxAge !== undefined) {
+    ctx.set('Access-Control-Max-Age', String(policy.maxAge));
+  }
+  return true;
+}
+
+module.exports = {
+  isPreflight,
+  setCorsHeaders,
+  setPreflightHeaders,
+};
+
+// set Access-Control-Allow-Origin and Access-Control-Allow-Credentials
+function setOriginHeaders(ctx, policy, origin) {
+  ctx.set('Access-Control-Allow-Origin', origin);
+  if (origin !== '*') {
+    ctx.vary('Origin');
+  }
+  if (policy.credentials) {
+    ctx.set('Access-Control-Allow-Credentials', 'true');
+  }
+}
+
+/**
+ * Get the value of Access-Control-Allow-Origin for `ctx`
+ * @param  {Context}    ctx
+ * @param  {CorsPolicy} policy
+ * @return {string}     `undefined` if the origin is not allowed
+ * @private
+ */
+function allowedOrigin(ctx, policy) {
+  const origin = ctx.get('Origin');
+  if (!origin) {
+    return undefined;
+  }
+
+  let allowed = policy.origin === undefined ? '*' : policy.origin;
+  if (typeof allowed === 'function') {
+    allowed = allowed(origin, ctx);
+  }
+
+  if (allowed === true) {
+    return origin;
+  }
+  // '*' is not allowed with credentials
+  if (allowed === '*') {
+    return policy.credentials ? origin : '*';
+  }
+  const candidates = Array.isArray(allowed) ? allowed : [allowed];
+  const matched = candidates.some(one => (one instanceof RegExp
+    ? one.test(origin)
+    : one === origin));
+  return matched ? origin : undefined;
+}
+
+// merge the policies applying to method over base,
+// `undefined` if none applies
+function policyOf(base, policies, method) {
+  const applied = policies.filter(one => one.methods.indexOf(method) !== -1);
+  if (!base && applied.length === 0) {
+    return undefined;
+  }
+  return Object.assign({}, base, ...applied.map(one => one.policy));
+}
+
+// join header names
+function toList(val) {
+  return Array.isArray(val) ? val.join(',') : val;
+}
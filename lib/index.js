@@ -13,14 +13,66 @@
  * @private
  */
 const { inspect } = require('util');
+const EventEmitter = require('events');
+const querystring = require('querystring');
 const Route = require('./Route');
 const Layer = require('./Layer');
+const Matcher = require('./Matcher');
+const Metrics = require('./Metrics');
+const { enableContext, runInContext, currentContext } = require('./context');
+const { createDocument, addOperations } = require('./openapi');
+const { registerParamType, expandParamTypes } = require('./paramTypes');
+const { regexpParam, loaderParam } = require('./paramTransformers');
+const { isPreflight, setCorsHeaders, setPreflightHeaders } = require('./cors');
+const {
+  startProfiling, isProfiling, startTimer, setServerTiming,
+} = require('./profiler');
+const {
+  touch, getRevision, assertVersion, findVersion, versionMatch, latestVersion,
+} = require('./version');
 const debug = require('debug')('koa-express-router:index');
 const flatten = require('array-flatten');
 const methods = require('methods');
 const parseUrl = require('parseurl');
+const pathRegexp = require('path-to-regexp');
 
-class Router {
+/**
+ * Module constiables.
+ * @private
+ */
+// conditions of `Router#method()` taken by the handlers rather than the route
+const handlerConditions = ['accepts', 'validate', 'openapi', 'meta'];
+// pattern of the paths trimmed off by the routers on the way, like `ctx.baseUrl`
+const basePattern = Symbol('basePattern');
+// metadata of the routers and layers on the way
+const baseMeta = Symbol('baseMeta');
+// whether `ctx.version` is requested, rather than fallen back to
+const versionRequested = Symbol('versionRequested');
+// set once a router has answered an OPTIONS request,
+// so that the routers outside do not answer it again
+const optionsAnswered = Symbol('optionsAnswered');
+// methods allowed on the matched path but not requested, collected
+// by the routers on the way for OPTIONS requests and 405 responses
+const allowedMethods = Symbol('allowedMethods');
+// CORS policies of the routes matched, for preflight requests
+const corsPolicies = Symbol('corsPolicies');
+// set by routes once a handler of the method requested is called
+const { methodHandled } = Route;
+
+/**
+ * Routers emit the events of the routing decisions they make:
+ *
+ * - `layer:added` (layer), when a layer is added to the router
+ * - `layer:removed` (layer), when a layer is removed or replaced
+ * - `mount` (parent, path), when the router is used by `parent`
+ * - `match` (ctx, matchedLayer), when a layer matches a request
+ * - `dispatch` (ctx, route), when a request is dispatched into a route
+ * - `paramResolved` (ctx, name, value), when the param callbacks of a param are done
+ * - `skip` (ctx, signal), on `next('route')` and `next('router')`
+ * - `done` (ctx, err), when the router is done with a request,
+ *   where `err` is what it throws, if any
+ */
+class Router extends EventEmitter {
   /**
    * Initialize a new `Router` with the given `options`.
    *
@@ -29,10 +81,22 @@ class Router {
    * @property  {boolean}         [mergeParams=false]
    * @property  {boolean}         [strict=false]
    * @property  {string}          [prefix='']
+   * @property  {boolean}         [compiled=false]
+   * @property  {boolean}         [methodNotAllowed=false]
+   * @property  {boolean}         [notImplemented=false]
+   * @property  {number}          [optionsStatus=200]
+   * @property  {{(ctx: Context, methods: string[]): any}} [optionsHandler]
+   * @property  {CorsPolicy}      [cors]
+   * @property  {string}          [version]     semver range of the versions served
+   * @property  {Versioning}      [versioning]  where the version requested is looked for
+   * @property  {Validator}       [validator]   compiles the `validate` schemas of routes
+   * @property  {Object}          [meta]        metadata merged into that of the routes
+   * @property  {boolean}         [profile=false]  time the layers, see `ctx.routerTimings`
    * @param     {RouterOptions}   options
    * @public
    */
   constructor(options = {}) {
+    super();
     this.params = {};
     this._params = [];
     const opts = Object.assign({}, Router.defaultOptions, options);
@@ -40,8 +104,34 @@ class Router {
     this.mergeParams = opts.mergeParams;
     this.strict = opts.strict;
     this.prefix = opts.prefix;
+    this.compiled = opts.compiled;
+    this.methodNotAllowed = opts.methodNotAllowed;
+    this.notImplemented = opts.notImplemented;
+    this.optionsStatus = opts.optionsStatus;
+    this.optionsHandler = opts.optionsHandler;
+    this.cors = opts.cors;
+    this.version = opts.version;
+    this.versioning = Object.assign({}, Router.defaultOptions.versioning, opts.versioning);
+    // routers given their own `versioning` look for the version requested themselves
+    this._versioningGiven = options.versioning !== undefined;
+    this.validator = opts.validator;
+    this.profile = opts.profile;
+    /** @type {Object} */
+    this._meta = opts.meta && Object.assign({}, opts.meta);
+    if (this.version !== undefined) {
+      assertVersion(this.version);
+      touch();
+    }
     /** @type {Layer[]} */
     this.stack = [];
+    /** @type {Matcher} */
+    this._compiled = undefined;
+    /** @type {{revision: number, list: string[]}} */
+    this._versions = undefined;
+    /** @type {ErrorHandler[]} */
+    this.errorHandlers = [];
+    /** @type {IMiddleware[]} */
+    this.notFoundHandlers = [];
   }
 
   /**
@@ -96,13 +186,16 @@ class Router {
    *  });
    * ```
    *
+   * Anything else is turned into callbacks by the param transformers,
+   * see `.paramTransformer()`.
+   *
    * @param {string}              name
    * @param {...IParamMiddleware} middlewares
    * @api public
    */
   param(name, ...middlewares) {
-    // apply param functions
-    const params = this._params;
+    // apply param functions, those of this router first
+    const params = this._params.concat(Router.paramTransformers);
     const len = params.length;
     let ret;
 
@@ -126,8 +219,132 @@ class Router {
     return this;
   }
 
+  /**
+   * Add a param transformer, which turns what `.param()` is given
+   * into a param callback, or returns `undefined` to pass it on.
+   *
+   * Transformers of this router are applied before those in
+   * `Router.paramTransformers`, which by default validate params
+   * with RegExps and load them with loaders.
+   *
+   * ```js
+   *  // router.param('id', 5) only matches ':id' of '5'
+   *  router.paramTransformer((name, arg) => {
+   *    if (typeof arg !== 'number') return undefined;
+   *    return (ctx, next, val) => (Number(val) === arg ? next() : next('route'));
+   *  });
+   * ```
+   *
+   * @param  {ParamTransformer} fn
+   * @api public
+   */
+  paramTransformer(fn) {
+    if (typeof fn !== 'function') {
+      throw new TypeError(`Router.paramTransformer() requires a function but got a ${inspect(fn, { depth: null })}`);
+    }
+    this._params.push(fn);
+    return this;
+  }
+
+  /**
+   * Handle the errors thrown by the layers of this router,
+   * including those in the routers mounted on it.
+   *
+   * Error handlers are called in order, each with what the previous one
+   * has thrown. One can recover by returning, or call `next()` to resume
+   * with the next matching layer. Errors thrown by the layers after this
+   * router are not handled here.
+   *
+   * ```js
+   *  router.catch(async (err, ctx, next) => {
+   *    if (err.status !== 404) throw err;
+   *    ctx.status = 404;
+   *    ctx.body = { message: err.message };
+   *  });
+   * ```
+   *
+   * @typedef {{(signal?: string): Promise<any>}} Next
+   * @typedef {{(err: any, ctx: Context, next: Next): any}} ErrorHandler
+   * @param   {...ErrorHandler} handlers
+   * @api public
+   */
+  catch(...handlers) {
+    for (const handler of handlers) {
+      if (typeof handler !== 'function') {
+        throw new TypeError(`Router.catch() requires a function but got a ${inspect(handler, { depth: null })}`);
+      }
+      this.errorHandlers.push(handler);
+    }
+    return this;
+  }
+
+  /**
+   * Attach metadata to this router, which is merged down into that of
+   * the routes in it and in the routers mounted on it. Routes get the
+   * metadata merged in `ctx.routeMeta`, and in `.getRoutes()`.
+   *
+   * ```js
+   *  admin.meta({ roles: ['admin'] });
+   *  admin.get('/stats', { meta: { rateLimit: 10 } }, show_stats);
+   *  router.use('/admin', { meta: { audit: true } }, admin.routes());
+   *
+   *  // ctx.routeMeta of GET /admin/stats
+   *  // => { audit: true, roles: ['admin'], rateLimit: 10 }
+   * ```
+   *
+   * Metadata is merged shallowly, from the outermost router in.
+   *
+   * @param  {Object} meta
+   * @api public
+   */
+  meta(meta) {
+    this._meta = Object.assign({}, this._meta, meta);
+    return this;
+  }
+
+  /**
+   * Use the given middlewares when a request enters this router,
+   * but no route in it, or in the routers mounted on it, matches.
+   *
+   * They are called before the request leaves this router, unless
+   * `methodNotAllowed`, `notImplemented` or the automatic OPTIONS
+   * response takes effect, or the request leaves by `next('router')`.
+   * Call `next()` to leave this router.
+   *
+   * ```js
+   *  api.notFound(async (ctx, next) => {
+   *    ctx.status = 404;
+   *    ctx.body = { message: `no such endpoint ${ctx.path}` };
+   *  });
+   *  router.use('/api', api.routes());
+   * ```
+   *
+   * @param  {...IMiddleware} middlewares
+   * @api public
+   */
+  notFound(...middlewares) {
+    for (const fn of middlewares) {
+      if (typeof fn !== 'function') {
+        throw new TypeError(`Router.notFound() requires a middleware function but got a ${inspect(fn, { depth: null })}`);
+      }
+      this.notFoundHandlers.push(fn);
+    }
+    return this;
+  }
+
   /**
    * Dispatch a ctx into the router.
+   *
+   * The layers matched are recorded in `ctx.matchedLayers` in order,
+   * and the full pattern of the route dispatched, including the paths
+   * the routers on the way are mounted on, is set to `ctx.matchedRoute`.
+   *
+   * @typedef  {Object}  MatchedLayer
+   * @property {string}  name      name of the route, or the middleware function
+   * @property {string | RegExp | (string | RegExp)[]} path  as registered
+   * @property {string}  fullPath  e.g. '/orgs/:org/users/:id'
+   * @property {Route}   [route]
+   *
    * @param {Context} ctx
    * @param {{(signal?: string): any}} next
    * @api private
@@ -143,48 +360,252 @@ class Router {
     const protohost = getProtohost(ctx.url) || '';
     const paramcalled = {};
 
-    // store options for OPTIONS request
-    // only used if OPTIONS request
+    // the version is resolved by the outermost router serving versions,
+    // and again by those given their own `versioning` if it is not requested
+    // in the way the routers outside look for
+    let resolved;
+    // an invalid version is thrown to the error handlers of this router
+    let versionError;
+    try {
+      resolved = ctx.version === undefined || (self._versioningGiven && !ctx[versionRequested])
+        ? self._resolveVersion(ctx)
+        : undefined;
+    } catch (err) {
+      versionError = err;
+    }
+    if (!versionError && !versionMatch(self.version, resolved ? resolved.version : ctx.version)) {
+      debug('version %s not served', resolved ? resolved.version : ctx.version);
+      return next();
+    }
+
+    // store methods allowed on the matched path but not requested,
+    // used by OPTIONS requests and 405 responses
     const options = [];
+    // CORS policies of the matched routes and the methods they apply to,
+    // used by preflight requests
+    const policies = [];
 
     // middleware and routes
     const stack = self.stack;
 
-    // manage inter-router constiables
-    const parentParams = ctx.params;
-    const parentUrl = ctx.baseUrl || '';
-
-    const propsToRestore = ['baseUrl', 'params', 'next'];
+    const propsToRestore = [
+      'baseUrl', 'params', 'next', 'version',
+      allowedMethods, corsPolicies, versionRequested, basePattern, baseMeta,
+    ];
     // store vals
     const vals = new Array(propsToRestore.length);
     for (let i = 0; i < propsToRestore.length; i += 1) {
       vals[i] = ctx[propsToRestore[i]];
     }
+    const url = ctx.url;
+    const answered = ctx[optionsAnswered];
+
+    // the version in the path is trimmed off like a mount path
+    const versionPrefix = resolved ? resolved.prefix : '';
+    let versionSlashAdded = false;
+    if (resolved) {
+      ctx.version = resolved.version;
+      ctx[versionRequested] = resolved.requested;
+    }
+    if (versionPrefix.length !== 0) {
+      ctx.url = protohost + ctx.url.substr(protohost.length + versionPrefix.length);
+      if (ctx.url.substr(protohost.length)[0] !== '/') {
+        ctx.url = `${protohost}/${ctx.url.substr(protohost.length)}`;
+        versionSlashAdded = true;
+      }
+      ctx.baseUrl = (ctx.baseUrl || '') + versionPrefix;
+      ctx[basePattern] = (ctx[basePattern] || '') + versionPrefix;
+    }
+
+    // manage inter-router constiables
+    const parentParams = ctx.params;
+    const parentUrl = ctx.baseUrl || '';
+    const parentOptions = ctx[allowedMethods];
+    const parentPolicies = ctx[corsPolicies];
+    const parentHandled = ctx[methodHandled];
+    const parentPattern = ctx[basePattern] || '';
+
+    // routers inside a profiling router are timed as well,
+    // where the outermost one puts the timings into the header
+    const profileStarted = self.profile && startProfiling(ctx);
+    const timer = isProfiling(ctx)
+      ? startTimer(ctx, { type: 'router', name: 'router', path: parentPattern || '/' })
+      : undefined;
+    const downstream = timer ? timer.exclude(next) : next;
 
     ctx.next = router_next;
     ctx.baseUrl = parentUrl;
+    ctx[allowedMethods] = options;
+    ctx[corsPolicies] = policies;
     ctx.originalUrl = ctx.originalUrl || ctx.url;
+    ctx.matchedLayers = ctx.matchedLayers || [];
+    ctx[methodHandled] = false;
+    const routerMeta = self._meta ? Object.assign({}, ctx[baseMeta], self._meta) : ctx[baseMeta];
+    ctx[baseMeta] = routerMeta;
+
+    // errors from after this router, or given up on by its error handlers,
+    // which are not to be handled here
+    const passed = new Set();
+
+    // restore ctx once settled, even if responded or thrown without calling next,
+    // so that the middlewares before this router see the request as it was
+    let thrown;
+    try {
+      // the code run by the layers can get the routing context by `Router.current()`
+      return await runInContext(ctx, () => (versionError
+        ? Promise.reject(versionError)
+        : router_next()).catch(handle_error));
+    } catch (err) {
+      thrown = err;
+      throw err;
+    } finally {
+      restore_vals();
+      ctx.url = url;
+      ctx[optionsAnswered] = answered;
+      if (timer) {
+        timer.end();
+      }
+      if (profileStarted) {
+        setServerTiming(ctx);
+      }
+      self.emit('done', ctx, thrown);
+    }
 
-    return router_next();
+    function restore_vals() {
+      for (let i = 0; i < propsToRestore.length; i += 1) {
+        ctx[propsToRestore[i]] = vals[i];
+      }
+    }
+
+    // pass err to the error handlers of this router in order
+    async function handle_error(err) {
+      let error = err;
+      for (let i = 0; i < self.errorHandlers.length && !passed.has(error); i += 1) {
+        try {
+          return await self.errorHandlers[i](error, ctx, resume);
+        } catch (e) {
+          error = e;
+        }
+      }
+      passed.add(error);
+      throw error;
+    }
+
+    // resume with the next matching layer, whose errors are handled here as well
+    function resume(signal) {
+      return router_next(signal).catch(handle_error);
+    }
+
+    // call next to leave this router, passing the errors from there
+    async function next_out() {
+      try {
+        return await downstream();
+      } catch (err) {
+        passed.add(err);
+        throw err;
+      }
+    }
 
     // a wrapper for next
     // which is called to do some cleaning job before continuing to the next router
-    async function done() {
-      // for options requests, respond with a default if nothing else responds
-      // WARNING: not sure whether it is correct here
+    async function done(signal) {
+      // for options requests, respond with a default if nothing else responds,
+      // unless a router inside has responded already
       if (ctx.method === 'OPTIONS' && options.length > 0) {
-        setOptionsResponse(ctx, options);
+        // outer routers set the preflight headers again, with their own
+        // policies under those of the routers and routes inside
+        if ((self.cors || policies.length > 0) && isPreflight(ctx)) {
+          setPreflightHeaders(ctx, self.cors, policies, options);
+        }
+        if (!ctx[optionsAnswered]) {
+          ctx[optionsAnswered] = true;
+          if (self.optionsHandler) {
+            await self.optionsHandler(ctx, options);
+          } else {
+            setOptionsResponse(ctx, options, self.optionsStatus);
+          }
+        }
       }
-      // restore vals
-      for (let i = 0; i < propsToRestore.length; i += 1) {
-        ctx[propsToRestore[i]] = vals[i];
+
+      // no route in this router has dispatched the request
+      const dispatched = ctx[methodHandled];
+      const notImplemented = !dispatched && self.notImplemented
+        && methods.indexOf(ctx.method.toLowerCase()) === -1;
+      // unless the method is allowed but the conditions are not met
+      const notAllowed = !dispatched && self.methodNotAllowed && ctx.method !== 'OPTIONS'
+        && options.length > 0 && options.indexOf(ctx.method.toUpperCase()) === -1;
+      const optionsResponded = ctx.method === 'OPTIONS' && options.length > 0;
+
+      // `next('router')` leaves this router without the 404 handlers
+      if (dispatched || notImplemented || notAllowed || optionsResponded
+        || signal === 'router' || self.notFoundHandlers.length === 0) {
+        return leave(notImplemented, notAllowed);
+      }
+
+      // 404 handlers, which call next to leave this router
+      let i = 0;
+      return not_found();
+
+      async function not_found() {
+        const handler = self.notFoundHandlers[i];
+        i += 1;
+        if (!handler) {
+          return leave(false, false);
+        }
+        return handler(ctx, not_found);
+      }
+    }
+
+    // restore ctx and leave this router, or respond 501 or 405
+    async function leave(notImplemented, notAllowed) {
+      restore_vals();
+      if (versionPrefix.length !== 0) {
+        const rest = ctx.url.substr(protohost.length + (versionSlashAdded ? 1 : 0));
+        ctx.url = protohost + versionPrefix + rest;
+      }
+      // let the parent router know whether the request is dispatched here
+      ctx[methodHandled] = ctx[methodHandled] || parentHandled;
+      // let the parent router know the methods allowed here
+      if (parentOptions) {
+        appendMethods(parentOptions, options);
+      }
+      if (parentPolicies) {
+        if (self.cors) {
+          parentPolicies.push({ methods: options.slice(), policy: self.cors });
+        }
+        parentPolicies.push(...policies);
+      }
+
+      if (notImplemented) {
+        ctx.status = 501;
+        return;
+      }
+      if (notAllowed) {
+        ctx.status = 405;
+        ctx.set('Allow', options.join(','));
+        return;
       }
 
       // call next to continue to the next router
-      return next();
+      return next_out();
     }
 
+    // call the next matching layer, and restore ctx once settled,
+    // so that the layer calling next sees the request as it was
     async function router_next(signal) {
+      const state = [
+        ctx.url, ctx.baseUrl, ctx.params, ctx[basePattern], ctx[baseMeta], removed, slashAdded,
+      ];
+      try {
+        return await next_layer(signal);
+      } finally {
+        [
+          ctx.url, ctx.baseUrl, ctx.params, ctx[basePattern], ctx[baseMeta], removed, slashAdded,
+        ] = state;
+      }
+    }
+
+    async function next_layer(signal) {
       // remove added slash
       if (slashAdded) {
         ctx.url = ctx.url.substr(1);
@@ -194,14 +615,19 @@ class Router {
       // restore altered ctx.url
       if (removed.length !== 0) {
         ctx.baseUrl = parentUrl;
+        ctx[basePattern] = parentPattern;
         ctx.url = protohost + removed + ctx.url.substr(protohost.length);
         removed = '';
       }
 
+      if (signal === 'route' || signal === 'router') {
+        self.emit('skip', ctx, signal);
+      }
+
       // no more matching layers  // signal to skip router
       if (idx >= stack.length || signal === 'router') {
         // call done to continue to the next router, or simply return to response
-        return done();
+        return done(signal);
       }
 
       // get pathname of request
@@ -218,30 +644,60 @@ class Router {
       let layer;
       /** @type {boolean} */
       let match;
+      /** @type {Readonly<LayerMatch>} */
+      let matched;
       /** @type {Route} */
       let route;
 
+      // only try the layers that may match in compiled mode
+      const matcher = self.compiled ? self._matcher(stack) : undefined;
+      const candidates = matcher ? matcher.candidates(path) : undefined;
+
       while (match !== true && idx < stack.length) {
+        if (matcher) {
+          idx = matcher.next(candidates, idx);
+          if (idx >= stack.length) {
+            break;
+          }
+        }
         layer = stack[idx];
         idx += 1;
-        match = matchLayer(layer, path, ctx.query);
+        matched = matchLayer(layer, path, ctx.hostname);
+        match = matched !== undefined;
         route = layer.route;
 
         if (match !== true) {
           continue;
         }
 
+        const conditionsMatched = layer.conditionsMatch(ctx.query, ctx.headers, ctx.version);
+
         if (!route) {
           // process non-route handlers normally
+          match = conditionsMatched;
           continue;
         }
 
         const method = ctx.method;
         const has_method = route._handles_method(method);
 
-        // build up automatic options response
-        if (!has_method && method === 'OPTIONS') {
+        // build up automatic options response and 405 response,
+        // including routes whose conditions are not met,
+        // which may well be the case for preflight requests
+        if (!has_method || !conditionsMatched) {
           appendMethods(options, route._options());
+          // the method requested is allowed as well by a route for all methods
+          if (has_method && method !== 'OPTIONS') {
+            appendMethods(options, [method.toUpperCase()]);
+          }
+          if (route._cors) {
+            policies.push({ methods: route._options(), policy: route._cors });
+          }
+        }
+
+        if (!conditionsMatched) {
+          match = false;
+          continue;
         }
 
         // don't even bother matching route
@@ -260,30 +716,51 @@ class Router {
       // store route for dispatch on change
       if (route) {
         ctx.route = route;
+
+        // CORS headers of the actual request
+        if (self.cors || route._cors) {
+          setCorsHeaders(ctx, Object.assign({}, self.cors, route._cors));
+        }
       }
 
       // capture one-time layer values
       ctx.params = self.mergeParams
-        ? mergeParams(layer.params, parentParams)
-        : layer.params;
-      const layerPath = layer.path;
+        ? mergeParams(matched.params, parentParams)
+        : matched.params;
+
+      const fullPath = joinPaths(parentPattern, matched.pattern);
+      const matchedLayer = {
+        name: route ? route._name : layer.name,
+        path: layer.pattern,
+        fullPath,
+        route,
+      };
+      ctx.matchedLayers.push(matchedLayer);
+      self.emit('match', ctx, matchedLayer);
+      ctx[baseMeta] = layer.meta ? Object.assign({}, routerMeta, layer.meta) : routerMeta;
+      if (route) {
+        ctx.matchedRoute = fullPath;
+        ctx.routeMeta = Object.assign({}, ctx[baseMeta]);
+      }
 
       // this should be done for the layer
-      return self.process_params(layer, paramcalled, ctx, async (paramSignal) => {
+      return self.process_params(matched, paramcalled, ctx, async (paramSignal) => {
         if (paramSignal) {
           return router_next(paramSignal);
         }
         if (route) {
+          self.emit('dispatch', ctx, route);
           // ==> route.handle(ctx, next)
           return layer.handle_request(ctx, router_next);
         }
 
         // use
-        return trim_prefix(layer, layerPath, path);
+        return trim_prefix(matched, path, fullPath);
       });
     }
 
-    async function trim_prefix(layer, layerPath, path) {
+    async function trim_prefix(matched, path, fullPath) {
+      const { layer, path: layerPath } = matched;
       if (layerPath.length !== 0) {
         // Validate path breaks on a path separator
         const c = path[layerPath.length];
@@ -307,25 +784,97 @@ class Router {
         ctx.baseUrl = parentUrl + (removed[removed.length - 1] === '/'
           ? removed.substring(0, removed.length - 1)
           : removed);
+        ctx[basePattern] = joinPaths(parentPattern, matched.pattern).replace(/\/$/, '');
       }
 
       debug('%s %s : %s', layer.name, layerPath, ctx.originalUrl);
 
       // use ==> middleware(ctx, next)
-      return layer.handle_request(ctx, router_next);
+      if (!isProfiling(ctx) || layer.handle.router) {
+        return layer.handle_request(ctx, router_next);
+      }
+      // routers time themselves, and routes their handlers
+      const layerTimer = startTimer(ctx, { type: 'middleware', name: layer.name, path: fullPath });
+      try {
+        return await layer.handle_request(ctx, layerTimer.exclude(router_next));
+      } finally {
+        layerTimer.end();
+      }
+    }
+  }
+
+  /**
+   * Get the compiled matcher of `stack`, which is rebuilt
+   * once layers are added to the stack.
+   * @param  {Layer[]} stack
+   * @return {Matcher}
+   * @api private
+   */
+  _matcher(stack) {
+    if (!this._compiled || !this._compiled.isBuiltOn(stack)) {
+      this._compiled = new Matcher(stack, { sensitive: this.caseSensitive });
+    }
+    return this._compiled;
+  }
+
+  /**
+   * Get the versions served by this router and the routers mounted on it,
+   * which are collected again once they may have changed.
+   * @return {string[]}
+   * @api private
+   */
+  _servedVersions() {
+    const revision = getRevision();
+    if (!this._versions || this._versions.revision !== revision) {
+      this._versions = { revision, list: collectVersions(this, []) };
     }
+    return this._versions.list;
   }
 
   /**
-   * Process any parameters for the layer.
+   * Resolve the version requested by `ctx` if any version is served,
+   * falling back to the `default` of `versioning`, or the latest version served.
+   * @param  {Context} ctx
+   * @return {{version: string, prefix: string, requested: boolean}}
+   *   `undefined` if no version is served
+   * @api private
+   */
+  _resolveVersion(ctx) {
+    const versions = this._servedVersions();
+    if (versions.length === 0) {
+      return undefined;
+    }
+
+    const found = findVersion(ctx, this.versioning, getPathname(ctx) || '', versions);
+    if (found) {
+      return Object.assign({ requested: true }, found);
+    }
+    const fallback = this.versioning.default;
+    return {
+      version: latestVersion(versions, fallback) || fallback,
+      prefix: '',
+      requested: false,
+    };
+  }
+
+  /**
+   * Process any parameters for the layer matched.
+   * @param  {Readonly<LayerMatch>} matched
+   * @param  {Object}  called  param callbacks called for the request
+   * @param  {Context} ctx
+   * @param  {{(signal?: string): Promise<any>}} next
    * @return {Promise<string>} signal
    * @api private
    */
-  async process_params(layer, called, ctx, next) {
+  async process_params(matched, called, ctx, next) {
+    const self = this;
     const params = this.params;
+    const { layer } = matched;
 
     // captured parameters from the layer, keys and values
-    const keys = layer.keys;
+    const keys = layer.hostKeys.length !== 0
+      ? layer.hostKeys.concat(layer.keys)
+      : layer.keys;
 
     // fast track
     if (!keys || keys.length === 0) {
@@ -338,6 +887,7 @@ class Router {
     let paramIndex = 0;
     let key;
     let paramVal;
+    let paramRaw;
     let paramCallbacks;
     let paramCalled;
 
@@ -359,6 +909,8 @@ class Router {
       i += 1;
       name = key.name;
       paramVal = ctx.params[name];
+      // compared with the raw value, as parsed ones like dates differ on every match
+      paramRaw = matched.rawParams[name];
       paramCallbacks = params[name];
       paramCalled = called[name];
 
@@ -368,7 +920,7 @@ class Router {
       }
 
       // param previously called with same value or error occurred
-      if (paramCalled && (paramCalled.match === paramVal
+      if (paramCalled && (paramCalled.match === paramRaw
         || (paramCalled.signal && paramCalled.signal !== 'route'))) {
         // restore value
         ctx.params[name] = paramCalled.value;
@@ -379,7 +931,7 @@ class Router {
 
       called[name] = paramCalled = {
         signal: null,
-        match: paramVal,
+        match: paramRaw,
         value: paramVal,
       };
 
@@ -403,10 +955,24 @@ class Router {
 
       // check out next param
       if (!paramMiddleware) {
+        self.emit('paramResolved', ctx, key.name, ctx.params[key.name]);
         return param();
       }
 
-      return paramMiddleware(ctx, paramCallback, paramVal, key.name);
+      if (!isProfiling(ctx)) {
+        return paramMiddleware(ctx, paramCallback, paramVal, key.name);
+      }
+      const timer = startTimer(ctx, {
+        type: 'param',
+        name: paramMiddleware.name || '<anonymous>',
+        path: ctx.matchedLayers[ctx.matchedLayers.length - 1].fullPath,
+        param: key.name,
+      });
+      try {
+        return await paramMiddleware(ctx, timer.exclude(paramCallback), paramVal, key.name);
+      } finally {
+        timer.end();
+      }
     }
 
     return param();
@@ -430,15 +996,9 @@ class Router {
     // default path to '/'
     let path = '/';
     let query;
-    let firstArg = middlewares[0];
-
-    if (!Array.isArray(firstArg)) {
-      // no effect on the the input middlewares array
-      firstArg = [firstArg];
-    }
 
-    // if the first argument is a path array
-    if (firstArg.every(one => typeof one === 'string' || one instanceof RegExp)) {
+    // if the first argument is a path or a path array
+    if (isPathParams(middlewares[0])) {
       path = middlewares.shift();
     }
 
@@ -462,10 +1022,7 @@ class Router {
       let prefixedPath = path;
       // merge '/usedPath/' and '/routerPath' to '/usedPath/routerPath'
       if (fn.router && fn.router.prefix) {
-        if (prefixedPath.endsWith('/') && fn.router.prefix.startsWith('/')) {
-          prefixedPath = prefixedPath.slice(0, -1);
-        }
-        prefixedPath += fn.router.prefix;
+        prefixedPath = joinPaths(prefixedPath, fn.router.prefix);
       }
 
       // add the middleware
@@ -478,13 +1035,38 @@ class Router {
       }, fn);
 
       layer.route = undefined;
-      layer.query = query;
+      layer.mountPath = path;
+      layer.setConditions(query);
       this.stack.push(layer);
+      this.emit('layer:added', layer);
+      // versions served by the mounted router are served here as well
+      if (fn.router) {
+        touch();
+        fn.router.emit('mount', this, path);
+      }
     }
 
     return this;
   }
 
+  /**
+   * Use the given middleware function for requests to hosts matching `host`,
+   * which is a path-to-regexp style pattern separated by '.'.
+   *
+   * Params in the host are put into `ctx.params` just like those in the path.
+   *
+   * ```js
+   *  router.host('api.:tenant.example.com', api.routes());
+   * ```
+   *
+   * @param  {string}         host
+   * @param  {...IMiddleware} middlewares
+   * @api public
+   */
+  host(host, ...middlewares) {
+    return this.use({ host }, ...middlewares);
+  }
+
   /**
    * Create a new Route for the given path.
    *
@@ -499,14 +1081,16 @@ class Router {
    */
   route(path, query) {
     const route = new Route(path);
+    route.validator = this.validator;
     const layer = new Layer(path, {
       sensitive: this.caseSensitive,
       strict: this.strict,
       end: true,
     }, route.dispatch.bind(route));
     layer.route = route;
-    layer.query = query;
+    layer.setConditions(query);
     this.stack.push(layer);
+    this.emit('layer:added', layer);
     return route;
   }
 
@@ -522,25 +1106,431 @@ class Router {
   /**
    *
    * @param  {string} method
+   * @param  {string} [name]
    * @param  {string} path
    * @param  {...IMiddleware} middlewares
    */
   method(method, path, ...middlewares) {
+    let name;
     let query;
+    // router.get('name', '/path', ...middlewares)
+    if (isPathParams(middlewares[0])) {
+      name = path;
+      path = middlewares.shift();
+    }
     if (middlewares[0] && typeof middlewares[0] !== 'function') {
       query = middlewares.shift();
     }
+    // conditions for the handlers rather than the route
+    if (query && handlerConditions.some(key => query[key])) {
+      const handlerQuery = {};
+      query = Object.assign({}, query);
+      handlerConditions.forEach((key) => {
+        if (query[key]) {
+          handlerQuery[key] = query[key];
+        }
+        delete query[key];
+      });
+      middlewares.unshift(handlerQuery);
+    }
     const route = this.route(path, query);
+    if (name !== undefined) {
+      route.name(name);
+    }
     route[method](...middlewares);
     return this;
   }
+
+  /**
+   * Remove the routes named `nameOrPath`, or the routes and the middlewares
+   * used at the path `nameOrPath`. With `method`, only the handlers of
+   * `method` are removed from the routes, and routes left without handlers
+   * are removed as well.
+   *
+   * The stack is replaced rather than changed, so that requests in flight
+   * go on with the layers they started with.
+   *
+   * ```js
+   *  router.remove('user.show');
+   *  router.remove('/users/:id', 'delete');
+   * ```
+   *
+   * @param  {string}  nameOrPath
+   * @param  {string}  [method]  e.g. 'get', or 'all' for the handlers of `.all()`
+   * @return {boolean} whether anything is removed
+   * @api public
+   */
+  remove(nameOrPath, method) {
+    const removed = [];
+    let changed = false;
+    const stack = this.stack.filter((layer) => {
+      if (!isLayerOf(layer, nameOrPath)) {
+        return true;
+      }
+      if (method === undefined) {
+        removed.push(layer);
+        return false;
+      }
+      if (!layer.route || !layer.route.remove(method)) {
+        return true;
+      }
+      changed = true;
+      if (layer.route.stack.length !== 0) {
+        return true;
+      }
+      removed.push(layer);
+      return false;
+    });
+
+    debug('remove %o %s', nameOrPath, method || '');
+    if (removed.length !== 0) {
+      this._replaceStack(stack, removed);
+    }
+    return changed || removed.length !== 0;
+  }
+
+  /**
+   * Replace in place, keeping their position in the stack:
+   *
+   * - with `method`, the handlers of `method` of the routes named `nameOrPath`,
+   *   or of the routes with the path `nameOrPath`, given like `.get()`
+   * - without, the middlewares used at the path `nameOrPath`, given like `.use()`
+   *
+   * Requests in flight go on with the layers they started with.
+   *
+   * ```js
+   *  router.replace('user.show', 'get', show_user_v2);
+   *  router.replace('/users', reloadedUsers.routes());
+   * ```
+   *
+   * @param  {string}         nameOrPath
+   * @param  {string}         [method]
+   * @param  {...IMiddleware} middlewares
+   * @api public
+   */
+  replace(nameOrPath, ...middlewares) {
+    if (typeof middlewares[0] === 'string') {
+      const method = middlewares.shift();
+      const routes = this.stack
+        .filter(layer => layer.route && isLayerOf(layer, nameOrPath)
+          && layer.route._has_handlers(method))
+        .map(layer => layer.route);
+      if (routes.length === 0) {
+        throw new Error(`no route ${inspect(nameOrPath)} with ${method} handlers to replace`);
+      }
+      debug('replace %o %s', nameOrPath, method);
+      routes.forEach(route => route.replace(method, ...middlewares));
+      return this;
+    }
+
+    const used = layer => !layer.route && layer.mountPath === nameOrPath;
+    const { stack } = this;
+    const index = stack.findIndex(used);
+    if (index === -1) {
+      throw new Error(`no middleware used at ${inspect(nameOrPath)} to replace`);
+    }
+    debug('replace %o', nameOrPath);
+    // build the layers aside, leaving the stack untouched if they are invalid
+    this.stack = [];
+    try {
+      this.use(nameOrPath, ...middlewares);
+    } catch (err) {
+      this.stack = stack;
+      throw err;
+    }
+    const added = this.stack;
+    const kept = stack.filter(layer => !used(layer));
+    this._replaceStack(kept.slice(0, index).concat(added, kept.slice(index)), stack.filter(used));
+    return this;
+  }
+
+  /**
+   * Remove all the layers, leaving the params, error handlers
+   * and not found handlers. Requests in flight go on with the
+   * layers they started with.
+   *
+   * @api public
+   */
+  clear() {
+    debug('clear');
+    this._replaceStack([], this.stack);
+    return this;
+  }
+
+  /**
+   * Replace the stack with `stack`, without the `removed` layers.
+   *
+   * @param  {Layer[]} stack
+   * @param  {Layer[]} removed
+   * @api private
+   */
+  _replaceStack(stack, removed) {
+    this.stack = stack;
+    // versions served by the layers removed may not be served any more
+    touch();
+    removed.forEach(layer => this.emit('layer:removed', layer));
+  }
+
+  /**
+   * Build the url of the route named `name`.
+   *
+   * Routers mounted by `.use()` are searched as well. Their mount paths
+   * and the `prefix` of every router on the way are taken into account,
+   * so the url is correct from where this router is exported.
+   *
+   * ```js
+   *  router.get('user.show', '/users/:id', show_user);
+   *
+   *  router.url('user.show', { id: 5 }, { query: { tab: 'posts' } });
+   *  // => '/users/5?tab=posts'
+   * ```
+   *
+   * @param  {string}                     name
+   * @param  {Object}                     [params]
+   * @param  {{query?: Object | string}}  [options]
+   * @return {string}
+   * @api public
+   */
+  url(name, params = {}, options = {}) {
+    const found = walkRoutes(this, (layer, mount) => (
+      layer.route._name === name ? { layer, mount } : undefined
+    ));
+    if (!found) {
+      throw new Error(`no route named ${inspect(name)}`);
+    }
+    if (!found.mount.literal || typeof found.layer.pattern !== 'string') {
+      throw new TypeError(`cannot build the url of route ${inspect(name)} whose path is not a string`);
+    }
+
+    const { path } = expandParamTypes(joinPaths(found.mount.path, found.layer.pattern));
+    let url = pathRegexp.compile(path)(params);
+    let query = options.query || '';
+    if (typeof query !== 'string') {
+      query = querystring.stringify(query);
+    }
+    query = query.replace(/^\?/, '');
+    if (query) {
+      url += `?${query}`;
+    }
+    return url;
+  }
+
+  /**
+   * List the routes of this router and the routers mounted on it.
+   *
+   * Every HTTP method of a route gets its own entry, `ALL` for `.all()`.
+   *
+   * ```js
+   *  router.use('/users', users.routes());
+   *  users.get('user.show', '/:id', show_user);
+   *
+   *  router.getRoutes();
+   *  // => [{ method: 'GET', name: 'user.show', fullPath: '/users/:id', ... }]
+   * ```
+   *
+   * @typedef  {Object}   RouteInfo
+   * @property {string}   method
+   * @property {string}   name          name of the route, if any
+   * @property {string}   fullPath      path from where this router is exported
+   * @property {Object[]} keys          path-to-regexp keys of `fullPath`
+   * @property {Object}   query         query conditions on the way to the route
+   * @property {string[]} handlerNames  names of handlers run for `method`
+   * @property {string}   routerPrefix  path where the router of the route is mounted
+   * @property {Object}   meta          metadata merged from the routers on the way
+   * @return   {RouteInfo[]}
+   * @api public
+   */
+  getRoutes() {
+    return listRoutes(this).map(entry => ({
+      method: entry.method === '_all' ? 'ALL' : entry.method.toUpperCase(),
+      name: entry.route._name,
+      fullPath: entry.fullPath,
+      keys: entry.keys,
+      query: entry.query,
+      handlerNames: entry.route.stack
+        .filter(one => !one.method || one.method === entry.method)
+        .map(one => one.name),
+      routerPrefix: entry.mount.path,
+      meta: entry.meta,
+    }));
+  }
+
+  /**
+   * Generate an OpenAPI 3 document of the routes of this router
+   * and the routers mounted on it.
+   *
+   * Path params, query and headers conditions, `validate` schemas and
+   * the `openapi` metadata of handlers are described. Routes whose paths
+   * are not made of strings, and handlers for all methods, are left out.
+   *
+   * ```js
+   *  router.get('/users/:id', {
+   *    openapi: { summary: 'Show a user', responses: { 200: { description: 'the user' } } },
+   *  }, show_user);
+   *
+   *  router.toOpenAPI({ info: { title: 'Users', version: '1.0.0' } });
+   * ```
+   *
+   * @param  {{info?: Object}} [options]  merged into the document
+   * @return {Object}
+   * @api public
+   */
+  toOpenAPI(options = {}) {
+    const operations = listRoutes(this).filter(one => (
+      one.method !== '_all' && one.literal
+    ));
+    return createDocument(operations, options);
+  }
+
+  /**
+   * Get the routing context of the request being handled where this is
+   * called, even deep below the handlers without `ctx`, and after `await`.
+   *
+   * ```js
+   *  async function query(sql) {
+   *    const { name, matchedRoute } = Router.current() || {};
+   *    log.debug({ route: name || matchedRoute }, sql);
+   *  }
+   * ```
+   *
+   * Call `Router.enableCurrent()` first, as keeping the routing context
+   * slows down every request.
+   *
+   * @typedef  {Object}   RoutingContext
+   * @property {Context}  ctx
+   * @property {Route}    route         route dispatched, if any
+   * @property {string}   name          name of the route dispatched, if any
+   * @property {Object}   params
+   * @property {string}   baseUrl
+   * @property {string}   matchedRoute  full template of the route dispatched, if any
+   *
+   * @return {RoutingContext} `undefined` outside of routers, or if not enabled
+   * @api public
+   */
+  static current() {
+    const ctx = currentContext();
+    if (!ctx) {
+      return undefined;
+    }
+    return {
+      ctx,
+      route: ctx.route,
+      name: ctx.route ? ctx.route._name : undefined,
+      params: ctx.params,
+      baseUrl: ctx.baseUrl,
+      matchedRoute: ctx.matchedRoute,
+    };
+  }
+
+  /**
+   * Start keeping the routing context of requests for `Router.current()`.
+   * Requires `AsyncLocalStorage` of Node.js 12.17 or later, and throws otherwise.
+   *
+   * ```js
+   *  Router.enableCurrent();
+   * ```
+   *
+   * @return {typeof Router}
+   * @api public
+   */
+  static enableCurrent() {
+    enableContext();
+    return Router;
+  }
+
+  /**
+   * Create a router serving the operations of an OpenAPI 3 `spec`.
+   *
+   * Every operation becomes a route named by its `operationId` and handled
+   * by `handlers[operationId]`, or responds 501 if there is no such handler.
+   * Path and query parameters, and required JSON request bodies,
+   * are validated before the handlers run. Handlers of no operation,
+   * likely typos of operationIds, throw a TypeError.
+   *
+   * ```js
+   *  const router = Router.fromOpenAPI(spec, {
+   *    showUser: async (ctx) => { ctx.body = await User.find(ctx.params.id); },
+   *  });
+   * ```
+   *
+   * @param  {Object}         spec
+   * @param  {{[operationId: string]: IMiddleware | IMiddleware[]}} [handlers]
+   * @param  {RouterOptions}  [options]
+   * @return {Router}
+   * @api public
+   */
+  static fromOpenAPI(spec, handlers = {}, options = {}) {
+    const router = new Router(options);
+    addOperations(router, spec, handlers);
+    return router;
+  }
+
+  /**
+   * Register a type of route params, used as in '/users/:id<int>'.
+   *
+   * The pattern is used to match the param, and `ctx.params` gets the value
+   * returned by `parse`. Built-in types are `int`, `number`, `slug`,
+   * `uuid` and `date`.
+   *
+   * ```js
+   *  Router.registerParamType('hex', {
+   *    pattern: /[0-9a-f]+/,
+   *    parse: val => parseInt(val, 16),
+   *  });
+   *
+   *  router.get('/colors/:rgb<hex>', show_color);
+   * ```
+   *
+   * @param  {string}     name
+   * @param  {ParamType}  type
+   * @return {typeof Router}
+   * @api public
+   */
+  static registerParamType(name, type) {
+    registerParamType(name, type);
+    return Router;
+  }
 }
 
+/**
+ * Param transformers of all routers, applied after those of each router
+ * @type {ParamTransformer[]}
+ */
+Router.paramTransformers = [regexpParam, loaderParam];
+
+/**
+ * Collector of request metrics labelled by route templates, where
+ * `Router.metrics` is a shared one
+ *
+ * ```js
+ *  app.use(Router.metrics.middleware());
+ *  router.get('/metrics', Router.metrics.handler());
+ * ```
+ */
+Router.Metrics = Metrics;
+Router.metrics = new Metrics();
+
 Router.defaultOptions = {
   caseSensitive: false,
   mergeParams: false,
   strict: false,
   prefix: false,
+  compiled: false,
+  methodNotAllowed: false,
+  notImplemented: false,
+  optionsStatus: 200,
+  optionsHandler: undefined,
+  cors: undefined,
+  version: undefined,
+  versioning: {
+    path: false,
+    header: 'Accept-Version',
+    param: 'version',
+    default: undefined,
+  },
+  validator: undefined,
+  meta: undefined,
+  profile: false,
 };
 
 module.exports = Router;
@@ -554,6 +1544,169 @@ methods.forEach((method) => {
 // @ts-ignore
 Route.prototype.del = Route.prototype.delete;
 
+// whether arg is a path or a path array
+function isPathParams(arg) {
+  const paths = Array.isArray(arg) ? arg : [arg];
+  return paths.length !== 0
+    && paths.every(one => typeof one === 'string' || one instanceof RegExp);
+}
+
+// whether layer is a route named or with the path nameOrPath,
+// or a middleware used at the path nameOrPath
+function isLayerOf(layer, nameOrPath) {
+  if (layer.route) {
+    return layer.route._name === nameOrPath || layer.pattern === nameOrPath;
+  }
+  return layer.mountPath === nameOrPath;
+}
+
+// join '/usedPath/' and '/routePath' to '/usedPath/routePath'
+function joinPaths(base, path) {
+  path = String(path);
+  if (base.length !== 0 && path === '/') {
+    return base;
+  }
+  if (base.endsWith('/') && path.startsWith('/')) {
+    return base.slice(0, -1) + path;
+  }
+  return base + path;
+}
+
+/**
+ * List the routes of `router` and the routers mounted on it,
+ * one entry per HTTP method.
+ *
+ * @param  {Router} router
+ * @return {{method: string, route: Route, mount: Mount, fullPath: string, literal: boolean,
+ *   keys: Object[], paramTypes: Object, query: Object, headers: Object, meta: Object}[]}
+ * @private
+ */
+function listRoutes(router) {
+  const routes = [];
+  walkRoutes(router, (layer, mount) => {
+    const { route } = layer;
+    for (const one of layerPaths(layer)) {
+      const entry = {
+        route,
+        mount,
+        fullPath: joinPaths(mount.path, one.pattern),
+        literal: mount.literal && typeof one.pattern === 'string',
+        keys: mount.keys.concat(one.keys),
+        paramTypes: Object.assign({}, mount.paramTypes, layer.paramTypes),
+        query: mergeQuery(mount.query, layer.query),
+        headers: mergeQuery(mount.headers, layer.headers),
+      };
+      for (const method of Object.keys(route.methods)) {
+        const routeMeta = Object.assign({}, route.metadata._all, route.metadata[method]);
+        const meta = Object.assign({}, mount.meta, layer.meta, routeMeta);
+        routes.push(Object.assign({ method, meta }, entry));
+      }
+    }
+  });
+  return routes;
+}
+
+// get each of the paths of layer, which may be registered with a path array
+function layerPaths(layer) {
+  return layer.paths || [{ pattern: layer.pattern, keys: layer.keys }];
+}
+
+// merge query conditions from the outer layers with the inner one
+function mergeQuery(outer, inner) {
+  if (!outer && !inner) {
+    return undefined;
+  }
+  return Object.assign({}, outer, inner);
+}
+
+/**
+ * Walk through the routes of `router` and the routers mounted on it.
+ *
+ * `visit(layer, mount)` is called on every route layer, where `mount`
+ * describes where the router holding the route is mounted. Walking
+ * stops once `visit` returns something other than `undefined`,
+ * which is then returned.
+ *
+ * @typedef  {Object}   Mount
+ * @property {Router}   router
+ * @property {string}   path     full mount path of `router`
+ * @property {boolean}  literal  whether `path` is made of strings only
+ * @property {Object[]} keys     path-to-regexp keys of `path`
+ * @property {Object}   paramTypes  types of the typed params in `path`
+ * @property {Object}   query    query conditions of the mount layers
+ * @property {Object}   headers  headers conditions of the mount layers
+ * @property {Object}   meta     metadata of the routers and the mount layers
+ *
+ * @param  {Router}                                  router
+ * @param  {(layer: Layer, mount: Mount) => any}     visit
+ * @param  {Mount}                                   [mount]
+ * @private
+ */
+function walkRoutes(router, visit, mount = {
+  router,
+  path: router.prefix || '',
+  literal: true,
+  keys: [],
+  paramTypes: {},
+  query: undefined,
+  headers: undefined,
+  meta: router._meta,
+}) {
+  for (const layer of router.stack) {
+    if (layer.route) {
+      const ret = visit(layer, mount);
+      if (ret !== undefined) {
+        return ret;
+      }
+      continue;
+    }
+
+    const child = layer.handle.router;
+    if (!child) {
+      continue;
+    }
+    // a router mounted at a path array is walked once for each path
+    for (const one of layerPaths(layer)) {
+      const ret = walkRoutes(child, visit, {
+        router: child,
+        path: joinPaths(mount.path, one.pattern),
+        literal: mount.literal && typeof one.pattern === 'string',
+        keys: mount.keys.concat(one.keys),
+        paramTypes: Object.assign({}, mount.paramTypes, layer.paramTypes),
+        query: mergeQuery(mount.query, layer.query),
+        headers: mergeQuery(mount.headers, layer.headers),
+        meta: Object.assign({}, mount.meta, layer.meta, child._meta),
+      });
+      if (ret !== undefined) {
+        return ret;
+      }
+    }
+  }
+  return undefined;
+}
+
+// collect the versions served by router and the routers mounted on it
+function collectVersions(router, list) {
+  if (router.version !== undefined) {
+    list.push(router.version);
+  }
+  for (const layer of router.stack) {
+    if (layer.version !== undefined) {
+      list.push(layer.version);
+    }
+    if (layer.route) {
+      for (const one of layer.route.stack) {
+        if (one.version !== undefined) {
+          list.push(one.version);
+        }
+      }
+    } else if (layer.handle.router) {
+      collectVersions(layer.handle.router, list);
+    }
+  }
+  return list;
+}
+
 // append methods to a list of methods
 function appendMethods(list, addition) {
   for (let i = 0; i < addition.length; i += 1) {
@@ -595,12 +1748,13 @@ function getProtohost(url) {
  *
  * @param {Layer}   layer
  * @param {string}  path
- * @param {any}     query
+ * @param {string}  host
+ * @return {Readonly<LayerMatch>} `undefined` if not matched
  * @private
  */
 
-function matchLayer(layer, path, query) {
-  return layer.match(path, query);
+function matchLayer(layer, path, host) {
+  return layer.match(path, host);
 }
 
 // merge params with parent params
@@ -644,11 +1798,15 @@ function mergeParams(params, parent) {
 
 /**
  * send an OPTIONS response
- * @param {Context} ctx
- * @param {any} options
+ * @param {Context}   ctx
+ * @param {string[]}  options  methods allowed
+ * @param {number}    status   the body is left empty for 204
  */
-function setOptionsResponse(ctx, options) {
+function setOptionsResponse(ctx, options, status) {
   const body = options.join(',');
   ctx.set('Allow', body);
-  ctx.body = body;
+  ctx.status = status;
+  if (status !== 204) {
+    ctx.body = body;
+  }
 }
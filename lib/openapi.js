@@ -0,0 +1,368 @@
+/*!
+ * koa-express-router
+ * Copyright(c) 2017 Mensu Chen
+ * MIT Licensed
+ */
+
+/**
+ * Module dependencies.
+ * @private
+ */
+const pathRegexp = require('path-to-regexp');
+const debug = require('debug')('koa-express-router:openapi');
+const { expandParamTypes } = require('./paramTypes');
+
+/**
+ * Module constiables.
+ * @private
+ */
+// pattern of path-to-regexp params without a custom one
+const defaultParamPattern = '[^\\/]+?';
+const operationMethods = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+// schema types of the param types parsed into numbers
+const paramSchemaTypes = { int: 'integer', number: 'number' };
+
+/**
+ * Create an OpenAPI 3 document describing `routes`.
+ *
+ * Only the first route of a path and a method is described.
+ *
+ * @param  {{method: string, route: Route, fullPath: string, keys: Object[],
+ *   paramTypes: Object, query: Object, headers: Object}[]} routes
+ * @param  {{info?: Object, paths?: Object}} options  merged into the document
+ * @return {Object}
+ * @api private
+ */
+function createDocument(routes, options) {
+  const paths = {};
+  routes.forEach((entry) => {
+    const path = toOpenAPIPath(entry.fullPath);
+    paths[path] = paths[path] || {};
+    if (!paths[path][entry.method]) {
+      paths[path][entry.method] = createOperation(entry);
+    }
+  });
+
+  const doc = Object.assign({ openapi: '3.0.3' }, options);
+  doc.info = Object.assign({ title: 'API', version: '1.0.0' }, options.info);
+  doc.paths = Object.assign({}, options.paths, paths);
+  return doc;
+}
+
+/**
+ * Register the operations of an OpenAPI 3 `spec` on `router`.
+ *
+ * Paths are registered with concrete segments before templated ones.
+ * Each operation becomes a route named by its `operationId`, handled by
+ * `handlers[operationId]`, or a 501 stub if there is none. Path and query
+ * parameters, and required JSON request bodies, are validated.
+ *
+ * Throw a TypeError if some handlers are of no operation.
+ *
+ * @param  {Router} router
+ * @param  {Object} spec
+ * @param  {{[operationId: string]: IMiddleware | IMiddleware[]}} handlers
+ * @api private
+ */
+function addOperations(router, spec, handlers) {
+  const paths = Object.keys(spec.paths || {})
+    .map((path, i) => ({ path, i }))
+    .sort((a, b) => comparePaths(a.path, b.path) || a.i - b.i)
+    .map(one => one.path);
+
+  const operations = [];
+  paths.forEach((path) => {
+    const item = deref(spec, spec.paths[path]);
+    operationMethods.forEach((method) => {
+      if (item[method]) {
+        operations.push({
+          path, method, item, operation: item[method],
+        });
+      }
+    });
+  });
+
+  // a handler of no operation is likely a typo of an operationId
+  const unknown = Object.keys(handlers).filter(operationId => (
+    !operations.some(one => one.operation.operationId === operationId)
+  ));
+  if (unknown.length !== 0) {
+    throw new TypeError(`no operation with the operationId of handlers ${unknown.map(one => JSON.stringify(one)).join(', ')}`);
+  }
+
+  operations.forEach(({
+    path, method, item, operation,
+  }) => {
+    const { operationId } = operation;
+    let middlewares = [notImplemented];
+    if (operationId !== undefined && handlers[operationId]) {
+      middlewares = [].concat(handlers[operationId]);
+    }
+
+    const conditions = { openapi: operationDoc(operation) };
+    const parameters = mergeParameters(item.parameters, operation.parameters);
+    const schemas = createSchemas(parameters, operation.requestBody);
+    if (schemas) {
+      conditions.validate = schemas;
+    }
+
+    debug('%s %s %s', method, path, operationId || '<anonymous>');
+    const routerPath = toRouterPath(path);
+    if (operationId !== undefined) {
+      router.method(method, operationId, routerPath, conditions, ...middlewares);
+    } else {
+      router.method(method, routerPath, conditions, ...middlewares);
+    }
+  });
+}
+
+module.exports = {
+  createDocument,
+  addOperations,
+};
+
+// convert '/users/:id' to '/users/{id}'
+function toOpenAPIPath(path) {
+  return pathRegexp.parse(expandParamTypes(path).path).map(token => (
+    typeof token === 'string' ? token : `${token.prefix}{${token.name}}`
+  )).join('');
+}
+
+/**
+ * Create the OpenAPI operation object of a route and a method
+ * @param  {{method: string, route: Route, keys: Object[], paramTypes: Object,
+ *   query: Object, headers: Object}} entry
+ * @return {Object}
+ * @private
+ */
+function createOperation(entry) {
+  const { route, method } = entry;
+  const schemas = Object.assign({}, route.schemas._all, route.schemas[method]);
+  const parameters = [];
+
+  entry.keys.forEach((key) => {
+    const type = entry.paramTypes[key.name];
+    let schema = { type: 'string', pattern: `^(?:${key.pattern})$` };
+    if (type && paramSchemaTypes[type.name]) {
+      schema = { type: paramSchemaTypes[type.name] };
+    } else if (key.pattern === defaultParamPattern) {
+      schema = { type: 'string' };
+    }
+    parameters.push({
+      name: String(key.name),
+      in: 'path',
+      required: true,
+      schema: Object.assign(schema, propertySchema(schemas.params, key.name)),
+    });
+  });
+  parameters.push(...conditionParameters(entry.query, 'query', schemas.query));
+  parameters.push(...conditionParameters(entry.headers, 'header'));
+
+  const operation = {};
+  if (route._name !== undefined) {
+    operation.operationId = route._name;
+  }
+  if (parameters.length !== 0) {
+    operation.parameters = parameters;
+  }
+  if (schemas.body) {
+    operation.requestBody = {
+      required: true,
+      content: { 'application/json': { schema: schemas.body } },
+    };
+  }
+  Object.assign(operation, route.docs._all, route.docs[method]);
+  if (!operation.responses) {
+    operation.responses = { default: { description: 'Default response' } };
+  }
+  return operation;
+}
+
+/**
+ * Describe conditions, and the properties of `schema` without conditions,
+ * as parameters in `location`
+ * @param  {Object} conditions
+ * @param  {string} location  'query' or 'header'
+ * @param  {Object} [schema]  `validate` schema of the location
+ * @return {Object[]}
+ * @private
+ */
+function conditionParameters(conditions, location, schema) {
+  const parameters = {};
+  Object.keys(conditions || {}).forEach((name) => {
+    const expected = conditions[name];
+    parameters[name] = {
+      name,
+      in: location,
+      required: typeof expected !== 'function',
+      schema: Object.assign(conditionSchema(expected), propertySchema(schema, name)),
+    };
+  });
+
+  const properties = (schema && schema.properties) || {};
+  const required = (schema && schema.required) || [];
+  Object.keys(properties).forEach((name) => {
+    if (!parameters[name]) {
+      parameters[name] = {
+        name,
+        in: location,
+        required: required.indexOf(name) !== -1,
+        schema: properties[name],
+      };
+    }
+  });
+  return Object.keys(parameters).map(name => parameters[name]);
+}
+
+// describe the values a condition accepts
+function conditionSchema(expected) {
+  if (typeof expected === 'string') {
+    return { type: 'string', enum: [expected] };
+  }
+  if (expected instanceof RegExp) {
+    return { type: 'string', pattern: expected.source };
+  }
+  if (Array.isArray(expected)) {
+    return { type: 'string', enum: expected.slice() };
+  }
+  if (typeof expected === 'function') {
+    return { type: 'string' };
+  }
+  return { enum: [expected] };
+}
+
+// get the schema of property name in an object schema
+function propertySchema(schema, name) {
+  return schema && schema.properties ? schema.properties[name] : undefined;
+}
+
+// respond 501 to operations without handlers
+async function notImplemented(ctx) {
+  ctx.status = 501;
+}
+
+// convert '/users/{id}' to '/users/:id', escaping the characters path-to-regexp takes
+function toRouterPath(path) {
+  return path.replace(/\{([^}]*)\}|[:()*+?\\]/g, (match, name, offset) => {
+    if (name === undefined) {
+      return `\\${match}`;
+    }
+    if (!/^\w+$/.test(name)) {
+      throw new TypeError(`unsupported path parameter ${JSON.stringify(name)} in ${path}`);
+    }
+    // end the name if followed by word characters
+    return /\w/.test(path[offset + match.length] || '')
+      ? `:${name}([^\\/]+?)`
+      : `:${name}`;
+  });
+}
+
+// order concrete segments before templated ones, e.g. '/users/me' before '/users/{id}'
+function comparePaths(a, b) {
+  const segmentsA = a.split('/');
+  const segmentsB = b.split('/');
+  for (let i = 0; i < Math.min(segmentsA.length, segmentsB.length); i += 1) {
+    const templatedA = segmentsA[i].indexOf('{') !== -1;
+    const templatedB = segmentsB[i].indexOf('{') !== -1;
+    if (templatedA !== templatedB) {
+      return templatedA ? 1 : -1;
+    }
+  }
+  return 0;
+}
+
+// operation parameters override path item parameters of the same name and location
+function mergeParameters(itemParameters, operationParameters) {
+  const merged = (operationParameters || []).slice();
+  (itemParameters || []).forEach((parameter) => {
+    const overridden = merged.some(one => one.name === parameter.name && one.in === parameter.in);
+    if (!overridden) {
+      merged.push(parameter);
+    }
+  });
+  return merged;
+}
+
+/**
+ * Create the `validate` schemas of an operation
+ * @param  {Object[]} parameters
+ * @param  {Object}   [requestBody]
+ * @return {{params?: Object, query?: Object, body?: Object}} `undefined` if none
+ * @private
+ */
+function createSchemas(parameters, requestBody) {
+  const schemas = {};
+  [['path', 'params'], ['query', 'query']].forEach(([location, key]) => {
+    parameters.filter(one => one.in === location).forEach((parameter) => {
+      if (!schemas[key]) {
+        schemas[key] = { type: 'object', properties: {}, required: [] };
+      }
+      schemas[key].properties[parameter.name] = parameter.schema || {};
+      if (parameter.required) {
+        schemas[key].required.push(parameter.name);
+      }
+    });
+  });
+
+  if (requestBody && requestBody.required && requestBody.content) {
+    const type = Object.keys(requestBody.content).find(one => /\bjson\b/i.test(one));
+    if (type && requestBody.content[type].schema) {
+      schemas.body = requestBody.content[type].schema;
+    }
+  }
+  return Object.keys(schemas).length !== 0 ? schemas : undefined;
+}
+
+// the fields of an operation kept as the `openapi` metadata of handlers
+function operationDoc(operation) {
+  const doc = Object.assign({}, operation);
+  delete doc.operationId;
+  delete doc.parameters;
+  delete doc.requestBody;
+  return doc;
+}
+
+/**
+ * Copy `value` with the local references in it resolved.
+ * Circular references are replaced by `{}`, accepting anything.
+ *
+ * @param  {Object}   spec
+ * @param  {any}      value
+ * @param  {string[]} [seen]  references on the way
+ * @return {any}
+ * @private
+ */
+function deref(spec, value, seen = []) {
+  if (Array.isArray(value)) {
+    return value.map(one => deref(spec, one, seen));
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if (typeof value.$ref === 'string') {
+    if (seen.indexOf(value.$ref) !== -1) {
+      return {};
+    }
+    return deref(spec, lookup(spec, value.$ref), seen.concat(value.$ref));
+  }
+
+  const copy = {};
+  Object.keys(value).forEach((key) => {
+    copy[key] = deref(spec, value[key], seen);
+  });
+  return copy;
+}
+
+// get the value a local reference like '#/components/schemas/User' points to
+function lookup(spec, ref) {
+  if (ref.indexOf('#/') !== 0) {
+    throw new TypeError(`cannot resolve ${JSON.stringify(ref)}, only local references are supported`);
+  }
+  return ref.substr(2).split('/').reduce((value, token) => {
+    const key = token.replace(/~1/g, '/').replace(/~0/g, '~');
+    if (!value || value[key] === undefined) {
+      throw new TypeError(`cannot resolve ${JSON.stringify(ref)}`);
+    }
+    return value[key];
+  }, spec);
+}
@@ -0,0 +1,64 @@
+/*!
+ * koa-express-router
+ * Copyright(c) 2017 Mensu Chen
+ * MIT Licensed
+ */
+
+/**
+ * Built-in param transformers, which turn what `Router#param()`
+ * is given into param middlewares, or return `undefined` to pass.
+ *
+ * @typedef {{(name: string, arg: any): IParamMiddleware}} ParamTransformer
+ */
+
+/**
+ * Validate params with a RegExp, skipping the route if not matched.
+ *
+ * ```js
+ *  router.param('id', /^\d+$/);
+ * ```
+ *
+ * @type {ParamTransformer}
+ * @api private
+ */
+function regexpParam(name, arg) {
+  if (!(arg instanceof RegExp)) {
+    return undefined;
+  }
+  return async function validate_param(ctx, next, val) {
+    return arg.test(String(val)) ? next() : next('route');
+  };
+}
+
+/**
+ * Load params with a loader, which is an object or a class with
+ * an async `load(val, ctx)` method, into `ctx.state[name]`,
+ * skipping the route if nothing is loaded.
+ *
+ * ```js
+ *  router.param('user', { load: id => User.findById(id) });
+ *  router.param('post', Post); // with `static async load(id)`
+ * ```
+ *
+ * @type {ParamTransformer}
+ * @api private
+ */
+function loaderParam(name, arg) {
+  if (!arg || typeof arg.load !== 'function') {
+    return undefined;
+  }
+  return async function load_param(ctx, next, val) {
+    const loaded = await arg.load(val, ctx);
+    if (loaded === undefined || loaded === null) {
+      return next('route');
+    }
+    ctx.state = ctx.state || {};
+    ctx.state[name] = loaded;
+    return next();
+  };
+}
+
+module.exports = {
+  regexpParam,
+  loaderParam,
+};
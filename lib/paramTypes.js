@@ -0,0 +1,108 @@
+/*!
+ * koa-express-router
+ * Copyright(c) 2017 Mensu Chen
+ * MIT Licensed
+ */
+
+/**
+ * Module dependencies.
+ * @private
+ */
+const { inspect } = require('util');
+
+/**
+ * Type of route params, used as in '/users/:id<int>'.
+ *
+ * @typedef  {Object}                   ParamType
+ * @property {string}                   [name]   set once registered
+ * @property {string | RegExp}          pattern  without groups, as required by path-to-regexp
+ * @property {(val: string) => any}     [parse]  errors thrown are responded with 400
+ */
+
+/**
+ * Module constiables.
+ * @private
+ */
+/** @type {{[name: string]: ParamType}} */
+const paramTypes = Object.create(null);
+const typedParamRegexp = /(\\.)|:(\w+)<(\w+)>/g;
+
+/**
+ * Register a type of route params.
+ *
+ * @param  {string}     name
+ * @param  {ParamType}  type
+ * @api private
+ */
+function registerParamType(name, type) {
+  if (typeof name !== 'string' || !/^\w+$/.test(name)) {
+    throw new TypeError(`invalid param type name ${inspect(name)}`);
+  }
+  const { parse } = type;
+  const pattern = type.pattern instanceof RegExp ? type.pattern.source : type.pattern;
+  if (typeof pattern !== 'string' || /(^|[^\\])[()]/.test(pattern)) {
+    throw new TypeError(`invalid pattern of param type ${name}, which should be a string or RegExp without groups`);
+  }
+  if (parse !== undefined && typeof parse !== 'function') {
+    throw new TypeError(`parse of param type ${name} should be a function`);
+  }
+  paramTypes[name] = { name, pattern, parse };
+}
+
+/**
+ * Expand the typed params in `path`, e.g. '/users/:id<int>'
+ * to '/users/:id(-?\\d+)', and get the types of them.
+ *
+ * @param  {string | RegExp | (string | RegExp)[]} path
+ * @return {{path: string | RegExp | (string | RegExp)[], types: {[name: string]: ParamType}}}
+ * @api private
+ */
+function expandParamTypes(path) {
+  const types = {};
+  const expand = one => (typeof one !== 'string' ? one : one.replace(typedParamRegexp, (match, escaped, name, typeName) => {
+    if (escaped) {
+      return escaped;
+    }
+    const type = paramTypes[typeName];
+    if (!type) {
+      throw new TypeError(`unknown param type ${typeName} of :${name}`);
+    }
+    types[name] = type;
+    return `:${name}(${type.pattern})`;
+  }));
+
+  return {
+    path: Array.isArray(path) ? path.map(expand) : expand(path),
+    types,
+  };
+}
+
+registerParamType('int', {
+  pattern: '-?\\d+',
+  parse: Number,
+});
+registerParamType('number', {
+  pattern: '-?\\d*\\.?\\d+',
+  parse: Number,
+});
+registerParamType('slug', {
+  pattern: '[a-z0-9][a-z0-9-]*',
+});
+registerParamType('uuid', {
+  pattern: '[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}',
+});
+registerParamType('date', {
+  pattern: '\\d{4}-\\d{2}-\\d{2}',
+  parse(val) {
+    const date = new Date(val);
+    if (Number.isNaN(date.getTime())) {
+      throw new RangeError(`Invalid date '${val}'`);
+    }
+    return date;
+  },
+});
+
+module.exports = {
+  registerParamType,
+  expandParamTypes,
+};
@@ -0,0 +1,121 @@
+/*!
+ * koa-express-router
+ * Copyright(c) 2017 Mensu Chen
+ * MIT Licensed
+ */
+
+/**
+ * Time spent in a router, a layer or a param callback of a request,
+ * in milliseconds.
+ *
+ * @typedef  {Object}  RouterTiming
+ * @property {string}  type      'router', 'middleware', 'handler' or 'param'
+ * @property {string}  name      name of the middleware function
+ * @property {string}  path      full path of the layer, like `ctx.matchedRoute`
+ * @property {string}  [method]  HTTP method of route handlers
+ * @property {string}  [param]   name of the param of param callbacks
+ * @property {number}  duration  including the time in `next()`
+ * @property {number}  self      excluding the time in `next()`
+ */
+
+/**
+ * Start profiling `ctx`, unless it is profiled already.
+ *
+ * @param  {Context} ctx
+ * @return {boolean} whether profiling is started here
+ * @api private
+ */
+function startProfiling(ctx) {
+  if (isProfiling(ctx)) {
+    return false;
+  }
+  ctx.routerTimings = [];
+  return true;
+}
+
+/**
+ * Check whether `ctx` is profiled.
+ *
+ * @param  {Context} ctx
+ * @return {boolean}
+ * @api private
+ */
+function isProfiling(ctx) {
+  return Array.isArray(ctx.routerTimings);
+}
+
+/**
+ * Start timing, putting a timing into `ctx.routerTimings`, which is
+ * updated once the timer ends. The time spent in the functions wrapped
+ * by `exclude` does not count in `self`.
+ *
+ * ```js
+ *  const timer = startTimer(ctx, { type: 'middleware', name: fn.name, path });
+ *  try {
+ *    return await fn(ctx, timer.exclude(next));
+ *  } finally {
+ *    timer.end();
+ *  }
+ * ```
+ *
+ * @param  {Context} ctx
+ * @param  {{type: string, name: string, path: string}} info
+ * @return {{exclude<T extends Function>(fn: T): T, end(): void}}
+ * @api private
+ */
+function startTimer(ctx, info) {
+  const timing = Object.assign({}, info, { duration: 0, self: 0 });
+  ctx.routerTimings.push(timing);
+  const start = process.hrtime();
+  let excluded = 0;
+
+  return {
+    exclude(fn) {
+      return async function excluded_fn(...args) {
+        const excludeStart = process.hrtime();
+        try {
+          return await fn(...args);
+        } finally {
+          excluded += elapsed(excludeStart);
+        }
+      };
+    },
+    end() {
+      timing.duration = elapsed(start);
+      timing.self = Math.max(timing.duration - excluded, 0);
+    },
+  };
+}
+
+/**
+ * Append the timings of `ctx` to the `Server-Timing` header, with
+ * the time each one takes excluding that in `next()`.
+ *
+ * @param  {Context} ctx
+ * @api private
+ */
+function setServerTiming(ctx) {
+  const metrics = ctx.routerTimings.map((timing, i) => {
+    const desc = [timing.method, timing.param && `:${timing.param}`, timing.name, timing.path]
+      .filter(Boolean)
+      .join(' ')
+      .replace(/["\\]/g, '\\$&');
+    return `${timing.type}-${i};desc="${desc}";dur=${timing.self.toFixed(3)}`;
+  });
+  if (metrics.length !== 0) {
+    ctx.append('Server-Timing', metrics.join(', '));
+  }
+}
+
+module.exports = {
+  startProfiling,
+  isProfiling,
+  startTimer,
+  setServerTiming,
+};
+
+// get the milliseconds elapsed since start, a result of `process.hrtime()`
+function elapsed(start) {
+  const [seconds, nanoseconds] = process.hrtime(start);
+  return (seconds * 1e3) + (nanoseconds / 1e6);
+}
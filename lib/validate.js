@@ -0,0 +1,294 @@
+/*!
+ * koa-express-router
+ * Copyright(c) 2017 Mensu Chen
+ * MIT Licensed
+ */
+
+/**
+ * Module dependencies.
+ * @private
+ */
+const { inspect } = require('util');
+const debug = require('debug')('koa-express-router:validate');
+
+/**
+ * A validator compiles a schema into a function validating values,
+ * which returns either the value, coerced if asked to, or the errors.
+ *
+ * @typedef  {Object}   ValidationIssue
+ * @property {string}   path     JSON pointer to the invalid value, e.g. '/items/0'
+ * @property {string}   message
+ *
+ * @typedef  {{(value: any): {value?: any, errors?: ValidationIssue[]}}} ValidateFunction
+ * @typedef  {{(schema: Object, options: {coerce: boolean}): ValidateFunction}} Validator
+ */
+
+/**
+ * Module constiables.
+ * @private
+ */
+const locations = ['params', 'query', 'body'];
+
+/**
+ * Create a middleware validating `ctx.params`, `ctx.query` and
+ * `ctx.request.body` against `schemas` before the handlers run.
+ *
+ * Values in `ctx.params` and `ctx.query` are coerced to the types declared.
+ * Failures are thrown as a 400 error with the issues in `err.errors`.
+ *
+ * @param  {{params?: Object, query?: Object, body?: Object}} schemas
+ * @param  {Validator}   [validator]  defaults to the built-in one
+ * @return {IMiddleware}
+ * @api private
+ */
+function createValidation(schemas, validator = compile) {
+  const validators = {};
+  Object.keys(schemas).forEach((location) => {
+    if (locations.indexOf(location) === -1) {
+      throw new TypeError(`cannot validate ${inspect(location)}, expected one of ${locations.join(', ')}`);
+    }
+    validators[location] = validator(schemas[location], { coerce: location !== 'body' });
+  });
+
+  return async function validate(ctx, next) {
+    const errors = [];
+    for (const location of Object.keys(validators)) {
+      const result = validators[location](getValue(ctx, location)) || {};
+      if (result.errors && result.errors.length !== 0) {
+        result.errors.forEach(one => errors.push(Object.assign({ location }, one)));
+      } else if (result.value !== undefined) {
+        setValue(ctx, location, result.value);
+      }
+    }
+
+    if (errors.length !== 0) {
+      debug('invalid %s %s', ctx.method, ctx.url);
+      throw createValidationError(errors);
+    }
+    return next();
+  };
+}
+
+/**
+ * The built-in validator of a JSON Schema subset, supporting `type`, `enum`,
+ * `const`, `properties`, `required`, `additionalProperties`, `items`,
+ * `minimum`, `maximum`, `exclusiveMinimum`, `exclusiveMaximum`,
+ * `minLength`, `maxLength`, `pattern`, `minItems` and `maxItems`.
+ *
+ * With `coerce`, strings are converted to the numbers, booleans and nulls
+ * declared, and single values to arrays.
+ *
+ * @param  {Object}             schema
+ * @param  {{coerce?: boolean}} [options]
+ * @return {ValidateFunction}
+ * @api private
+ */
+function compile(schema, options = {}) {
+  const coerce = Boolean(options.coerce);
+  return (value) => {
+    const errors = [];
+    const coerced = check(schema, value, '', errors, coerce);
+    return errors.length !== 0 ? { errors } : { value: coerced };
+  };
+}
+
+module.exports = {
+  createValidation,
+  compile,
+};
+
+// get the value at location of ctx
+function getValue(ctx, location) {
+  if (location === 'body') {
+    return ctx.request ? ctx.request.body : undefined;
+  }
+  return ctx[location] || {};
+}
+
+// set the value at location of ctx, where params and query are updated in place,
+// since assigning `ctx.query` would stringify the values back
+function setValue(ctx, location, value) {
+  if (location === 'body') {
+    if (ctx.request) {
+      ctx.request.body = value;
+    }
+  } else if (ctx[location]) {
+    Object.assign(ctx[location], value);
+  } else {
+    ctx[location] = value;
+  }
+}
+
+/**
+ * Create the error thrown on validation failures
+ * @param  {(ValidationIssue & {location: string})[]} errors
+ * @return {Error}
+ * @private
+ */
+function createValidationError(errors) {
+  const details = errors.map(one => `${one.location}${one.path} ${one.message}`);
+  const err = new Error(`Validation failed: ${details.join(', ')}`);
+  // @ts-ignore
+  err.status = err.statusCode = 400;
+  // @ts-ignore
+  err.expose = true;
+  // @ts-ignore
+  err.errors = errors;
+  return err;
+}
+
+/**
+ * Check `value` against `schema`, pushing the issues found to `errors`.
+ *
+ * @param  {any}               schema
+ * @param  {any}               value
+ * @param  {string}            path    JSON pointer to `value`
+ * @param  {ValidationIssue[]} errors
+ * @param  {boolean}           coerce
+ * @return {any}               the value, coerced if asked to
+ * @private
+ */
+function check(schema, value, path, errors, coerce) {
+  if (schema === false) {
+    errors.push({ path, message: 'is not allowed' });
+    return value;
+  }
+  if (!schema || schema === true) {
+    return value;
+  }
+
+  let val = value;
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type);
+    if (coerce) {
+      val = coerceValue(types, val);
+    }
+    if (!types.some(type => isType(type, val))) {
+      errors.push({ path, message: `should be ${types.join(' or ')}` });
+      return val;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(one => isEqual(one, val))) {
+    errors.push({ path, message: `should be one of ${JSON.stringify(schema.enum)}` });
+  }
+  if (schema.const !== undefined && !isEqual(schema.const, val)) {
+    errors.push({ path, message: `should be ${JSON.stringify(schema.const)}` });
+  }
+
+  if (typeof val === 'string') {
+    if (schema.minLength !== undefined && val.length < schema.minLength) {
+      errors.push({ path, message: `should not be shorter than ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && val.length > schema.maxLength) {
+      errors.push({ path, message: `should not be longer than ${schema.maxLength} characters` });
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(val)) {
+      errors.push({ path, message: `should match pattern ${JSON.stringify(String(schema.pattern))}` });
+    }
+  } else if (typeof val === 'number') {
+    if (schema.minimum !== undefined && val < schema.minimum) {
+      errors.push({ path, message: `should be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && val > schema.maximum) {
+      errors.push({ path, message: `should be <= ${schema.maximum}` });
+    }
+    if (schema.exclusiveMinimum !== undefined && val <= schema.exclusiveMinimum) {
+      errors.push({ path, message: `should be > ${schema.exclusiveMinimum}` });
+    }
+    if (schema.exclusiveMaximum !== undefined && val >= schema.exclusiveMaximum) {
+      errors.push({ path, message: `should be < ${schema.exclusiveMaximum}` });
+    }
+  } else if (Array.isArray(val)) {
+    if (schema.minItems !== undefined && val.length < schema.minItems) {
+      errors.push({ path, message: `should not have fewer than ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && val.length > schema.maxItems) {
+      errors.push({ path, message: `should not have more than ${schema.maxItems} items` });
+    }
+    if (schema.items !== undefined) {
+      val = val.map((item, i) => check(schema.items, item, `${path}/${i}`, errors, coerce));
+    }
+  } else if (val !== null && typeof val === 'object') {
+    val = checkObject(schema, val, path, errors, coerce);
+  }
+
+  return val;
+}
+
+// check the properties of an object, see `check`
+function checkObject(schema, value, path, errors, coerce) {
+  const obj = Object.assign({}, value);
+  const properties = schema.properties || {};
+
+  (schema.required || []).forEach((key) => {
+    if (obj[key] === undefined) {
+      errors.push({ path: `${path}/${key}`, message: 'is required' });
+    }
+  });
+
+  Object.keys(obj).forEach((key) => {
+    if (Object.prototype.hasOwnProperty.call(properties, key)) {
+      obj[key] = check(properties[key], obj[key], `${path}/${key}`, errors, coerce);
+    } else if (schema.additionalProperties !== undefined) {
+      obj[key] = check(schema.additionalProperties, obj[key], `${path}/${key}`, errors, coerce);
+    }
+  });
+  return obj;
+}
+
+// convert a string to the first of the types it can be, or wrap it in an array
+function coerceValue(types, value) {
+  if (value === undefined || types.some(type => isType(type, value))) {
+    return value;
+  }
+
+  for (const type of types) {
+    if (type === 'array') {
+      return [value];
+    }
+    if (typeof value !== 'string') {
+      continue;
+    }
+    if (type === 'integer' && /^[-+]?\d+$/.test(value)) {
+      return Number(value);
+    }
+    if (type === 'number' && value.trim().length !== 0 && Number.isFinite(Number(value))) {
+      return Number(value);
+    }
+    if (type === 'boolean' && (value === 'true' || value === 'false')) {
+      return value === 'true';
+    }
+    if (type === 'null' && value.length === 0) {
+      return null;
+    }
+  }
+  return value;
+}
+
+// check whether value is of the JSON Schema type
+function isType(type, value) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'null':
+      return value === null;
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default:
+      throw new TypeError(`unknown type ${inspect(type)} in schema`);
+  }
+}
+
+// compare JSON values
+function isEqual(a, b) {
+  return a === b || JSON.stringify(a) === JSON.stringify(b);
+}
@@ -0,0 +1,165 @@
+/*!
+ * koa-express-router
+ * Copyright(c) 2017 Mensu Chen
+ * MIT Licensed
+ */
+
+/**
+ * Module dependencies.
+ * @private
+ */
+const semver = require('semver');
+
+/**
+ * Where the version requested is looked for, in the order of
+ * `path`, `header` and `param`.
+ *
+ * @typedef  {Object}         Versioning
+ * @property {boolean}        [path=false]  leading path segment like '/v2'
+ * @property {string | false} [header='Accept-Version']
+ * @property {string | false} [param='version']
+ *   media type parameter in the `Accept` header, e.g. 'application/json; version=2'
+ * @property {string}         [default]
+ *   version of requests without one, defaults to the latest version served
+ */
+
+/**
+ * Module constiables.
+ * @private
+ */
+const pathVersionRegexp = /^\/v(\d+(?:\.\d+){0,2})(?=\/|$)/i;
+
+// bumped whenever the versions served may change,
+// so that the versions collected by routers are known to be stale
+let revision = 0;
+
+/**
+ * Mark the versions served as changed
+ * @api private
+ */
+function touch() {
+  revision += 1;
+}
+
+/**
+ * Get the revision of the versions served
+ * @return {number}
+ * @api private
+ */
+function getRevision() {
+  return revision;
+}
+
+/**
+ * Throw if `range` is not a valid semver range
+ * @param {string} range
+ * @api private
+ */
+function assertVersion(range) {
+  if (typeof range !== 'string' || semver.validRange(range) === null) {
+    throw new TypeError(`invalid version ${JSON.stringify(range)}`);
+  }
+}
+
+/**
+ * Find the version requested by `ctx`, resolved to the latest of the versions
+ * served satisfying the range requested, e.g. '2.0.0' for '>=1' or '*'
+ * with ['1', '>=2 <3'] served.
+ *
+ * @param  {Context}    ctx
+ * @param  {Versioning} versioning
+ * @param  {string}     path    pathname of the request
+ * @param  {string[]}   ranges  versions served
+ * @return {{version: string, prefix: string}}
+ *   `undefined` if no version is requested, where `prefix` is
+ *   the path segment holding the version, if any
+ * @api private
+ */
+function findVersion(ctx, versioning, path, ranges) {
+  let found;
+  const headers = ctx.headers || {};
+
+  if (versioning.path) {
+    const match = pathVersionRegexp.exec(path);
+    if (match) {
+      found = { version: match[1], prefix: match[0] };
+    }
+  }
+  if (!found && versioning.header && headers[versioning.header.toLowerCase()]) {
+    found = { version: headers[versioning.header.toLowerCase()].trim(), prefix: '' };
+  }
+  if (!found && versioning.param && headers.accept) {
+    const version = mediaTypeParam(headers.accept, versioning.param);
+    if (version) {
+      found = { version, prefix: '' };
+    }
+  }
+
+  if (found && semver.validRange(found.version) === null) {
+    const err = new Error(`Invalid version '${found.version}'`);
+    // @ts-ignore
+    err.status = err.statusCode = 400;
+    throw err;
+  }
+  if (found) {
+    // left as requested if not served, matching no version served
+    found.version = latestVersion(ranges, found.version) || found.version;
+  }
+  return found;
+}
+
+/**
+ * Check whether the version resolved is served by `range`,
+ * which a version requested but not served never is
+ * @param  {string}  range    `undefined` to serve any version
+ * @param  {string}  version  `undefined` if versioning is not in effect
+ * @return {boolean}
+ * @api private
+ */
+function versionMatch(range, version) {
+  if (range === undefined || version === undefined) {
+    return true;
+  }
+  return semver.valid(version) !== null && semver.satisfies(version, range);
+}
+
+/**
+ * Get the latest of the versions served satisfying `range`, taking the lowest
+ * version of each range served and of `range`, e.g. '2.0.0' for ['1', '>=2 <3'],
+ * or '1.5.0' for ['1', '>=2 <3'] and '~1.5'
+ * @param  {string[]} ranges
+ * @param  {string}   [range='*']
+ * @return {string}   `undefined` if none is served
+ * @api private
+ */
+function latestVersion(ranges, range = '*') {
+  const served = ranges.concat(range)
+    .map(one => semver.minVersion(one))
+    .filter(lowest => lowest && ranges.some(one => semver.satisfies(lowest, one)));
+  const latest = semver.maxSatisfying(served, range);
+  return latest ? latest.version : undefined;
+}
+
+module.exports = {
+  touch,
+  getRevision,
+  assertVersion,
+  findVersion,
+  versionMatch,
+  latestVersion,
+};
+
+// get the value of parameter `name` of the media types in an `Accept` header
+function mediaTypeParam(accept, name) {
+  const lowerName = name.toLowerCase();
+  for (const mediaType of accept.split(',')) {
+    const params = mediaType.split(';').slice(1);
+    for (const param of params) {
+      const index = param.indexOf('=');
+      if (index !== -1 && param.substr(0, index).trim().toLowerCase() === lowerName) {
+        return param.substr(index + 1).trim().replace(/^"|"$/g, '');
+      }
+    }
+  }
+  return undefined;
+}
@@ -1,3 +1,4 @@
+const accepts = require('accepts');
 const after = require('after');
 const should = require('should');
 const methods = require('methods');
@@ -430,4 +431,121 @@ describe('Route', () => {
       });
     });
   });
+
+  describe('host condition', () => {
+    it('should skip handlers not matching the host', async () => {
+      const hits = [];
+      const route = new Route('');
+
+      route.get({ host: 'admin.example.com' }, async (ctx, next) => {
+        hits.push('admin');
+        return next();
+      });
+
+      route.get(async (ctx, next) => {
+        hits.push('all');
+      });
+
+      await route.dispatch({ url: '/', method: 'GET', hostname: 'admin.example.com' });
+      await route.dispatch({ url: '/', method: 'GET', hostname: 'www.example.com' });
+      should(hits).eql(['admin', 'all', 'all']);
+    });
+  });
+
+  describe('headers condition', () => {
+    it('should skip handlers not matching the headers', async () => {
+      const hits = [];
+      const route = new Route('');
+
+      route.get({ headers: { Accept: /json/ } }, async (ctx, next) => {
+        hits.push('json');
+      });
+
+      route.get(async (ctx, next) => {
+        hits.push('default');
+      });
+
+      await route.dispatch({ url: '/', method: 'GET', headers: { accept: 'application/json' } });
+      await route.dispatch({ url: '/', method: 'GET', headers: { accept: 'text/html' } });
+      await route.dispatch({ url: '/', method: 'GET' });
+      should(hits).eql(['json', 'default', 'default']);
+    });
+  });
+
+  describe('accepts condition', () => {
+    function createContext(method, accept) {
+      const headers = accept === undefined ? {} : { accept };
+      return {
+        method,
+        url: '/',
+        headers,
+        accepts(...types) {
+          return accepts({ headers }).types(...types);
+        },
+      };
+    }
+
+    function createRoute(hits) {
+      const route = new Route('');
+      route
+        .all(async (ctx, next) => {
+          hits.push('all');
+          return next();
+        })
+        .get({ accepts: 'application/json' }, async (ctx, next) => {
+          hits.push('json');
+        })
+        .get({ accepts: ['text/html', 'text/plain'] }, async (ctx, next) => {
+          hits.push('html');
+        });
+      return route;
+    }
+
+    it('should pick the handler for the best media type', async () => {
+      const hits = [];
+      const route = createRoute(hits);
+
+      await route.dispatch(createContext('GET', 'application/json'));
+      await route.dispatch(createContext('GET', 'text/html;q=0.9, application/json;q=0.8'));
+      await route.dispatch(createContext('GET', 'text/*, application/json;q=0.5'));
+      await route.dispatch(createContext('HEAD', 'text/plain'));
+      await route.dispatch(createContext('GET'));
+      should(hits).eql(['all', 'json', 'all', 'html', 'all', 'html', 'all', 'html', 'all', 'json']);
+    });
+
+    it('should respond 406 if nothing is acceptable', async () => {
+      const hits = [];
+      const ctx = createContext('GET', 'image/png');
+      let called = false;
+
+      await createRoute(hits).dispatch(ctx, () => { called = true; });
+      should(ctx.status).equal(406);
+      should(called).be.false();
+      should(hits).eql(['all']);
+    });
+
+    it('should fall back to handlers without accepts condition', async () => {
+      const hits = [];
+      const route = createRoute(hits);
+      route.get(async (ctx, next) => {
+        hits.push('default');
+      });
+
+      const ctx = createContext('GET', 'image/png');
+      await route.dispatch(ctx);
+      should(ctx.status).equal(undefined);
+      should(hits).eql(['all', 'default']);
+    });
+
+    it('should not negotiate for other methods', async () => {
+      const hits = [];
+      const route = createRoute(hits);
+      route.post(async (ctx, next) => {
+        hits.push('post');
+      });
+
+      await route.dispatch(createContext('POST', 'image/png'));
+      should(hits).eql(['all', 'post']);
+    });
+  });
 });
@@ -1,9 +1,41 @@
 const assert = require('assert');
+const accepts = require('accepts');
 const after = require('after');
 const should = require('should');
 const methods = require('methods');
 const Router = require('../lib');
 
+// a ctx of the request, where `headers` holds the request headers as in Koa,
+// and `responseHeaders` those set by the router
+function createContext(url, method = 'GET', headers = {}) {
+  const responseHeaders = {};
+  const varied = [];
+  return {
+    url,
+    method,
+    headers,
+    responseHeaders,
+    varied,
+    get(field) {
+      return headers[field.toLowerCase()] || '';
+    },
+    set(field, val) {
+      responseHeaders[field] = val;
+    },
+    append(field, val) {
+      const prev = responseHeaders[field];
+      responseHeaders[field] = prev ? `${prev}, ${val}` : val;
+    },
+    vary(field) {
+      varied.push(field);
+    },
+  };
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
 describe('Router', () => {
   it('should return a function with router methods', () => {
     const router = new Router();
@@ -865,4 +897,2318 @@ describe('Router', () => {
       });
     });
   });
+
+  describe('.url', () => {
+    it('should build url of routes named by .METHOD', () => {
+      const router = new Router();
+      router.get('user.show', '/users/:id', () => {});
+      router.get('/users', () => {});
+
+      should(router.url('user.show', { id: 5 })).equal('/users/5');
+    });
+
+    it('should build url of routes named by .route().name()', () => {
+      const router = new Router();
+      router.route('/users/:id/posts/:postId').name('post.show').get(() => {});
+
+      should(router.url('post.show', { id: 5, postId: 'a b' })).equal('/users/5/posts/a%20b');
+    });
+
+    it('should still accept query conditions after the name', async () => {
+      let hit = 0;
+      const router = new Router();
+      router.get('user.list', '/users', { state: 'active' }, () => { hit++; });
+
+      should(router.url('user.list')).equal('/users');
+      await router.routes(false)({ url: '/users', method: 'GET', query: { state: 'active' } });
+      await router.routes(false)({ url: '/users', method: 'GET', query: {} });
+      should(hit).equal(1);
+    });
+
+    it('should append query', () => {
+      const router = new Router();
+      router.get('user.show', '/users/:id', () => {});
+
+      should(router.url('user.show', { id: 5 }, { query: { tab: 'posts', page: 2 } }))
+        .equal('/users/5?tab=posts&page=2');
+      should(router.url('user.show', { id: 5 }, { query: '?tab=posts' }))
+        .equal('/users/5?tab=posts');
+    });
+
+    it('should take mount paths and prefixes into account', () => {
+      const router = new Router({ prefix: '/api' });
+      const orgs = new Router({ prefix: '/orgs' });
+      const users = new Router();
+
+      users.get('user.show', '/users/:id', () => {});
+      users.get('user.list', '/', () => {});
+      orgs.use('/:org/', users.routes());
+      router.use(orgs.routes());
+
+      should(router.url('user.show', { org: 'koa', id: 5 })).equal('/api/orgs/koa/users/5');
+      should(router.url('user.list', { org: 'koa' })).equal('/api/orgs/koa/');
+      should(orgs.url('user.show', { org: 'koa', id: 5 })).equal('/orgs/koa/users/5');
+    });
+
+    it('should throw on unknown names', () => {
+      const router = new Router();
+      assert.throws(() => router.url('nope'), /no route named 'nope'/);
+    });
+
+    it('should throw on missing params', () => {
+      const router = new Router();
+      router.get('user.show', '/users/:id', () => {});
+      assert.throws(() => router.url('user.show'), /Expected "id" to be defined/);
+    });
+
+    it('should throw on RegExp paths', () => {
+      const router = new Router();
+      router.use(/\/v[0-9]/, new Router().get('user.show', '/users/:id', () => {}).routes());
+      assert.throws(() => router.url('user.show', { id: 5 }), /not a string/);
+    });
+  });
+
+  describe('.getRoutes', () => {
+    it('should list routes of every method', () => {
+      const router = new Router();
+      function loadUser() {}
+      function showUser() {}
+      function updateUser() {}
+
+      router.route('/users/:id')
+        .name('user')
+        .all(loadUser)
+        .get(showUser)
+        .put(updateUser);
+      router.use(() => {});
+
+      should(router.getRoutes()).eql([
+        {
+          method: 'ALL',
+          name: 'user',
+          fullPath: '/users/:id',
+          keys: router.stack[0].keys,
+          query: undefined,
+          handlerNames: ['loadUser'],
+          routerPrefix: '',
+          meta: {},
+        },
+        {
+          method: 'GET',
+          name: 'user',
+          fullPath: '/users/:id',
+          keys: router.stack[0].keys,
+          query: undefined,
+          handlerNames: ['loadUser', 'showUser'],
+          routerPrefix: '',
+          meta: {},
+        },
+        {
+          method: 'PUT',
+          name: 'user',
+          fullPath: '/users/:id',
+          keys: router.stack[0].keys,
+          query: undefined,
+          handlerNames: ['loadUser', 'updateUser'],
+          routerPrefix: '',
+          meta: {},
+        },
+      ]);
+    });
+
+    it('should descend into mounted routers', () => {
+      const router = new Router({ prefix: '/api' });
+      const orgs = new Router({ prefix: '/orgs' });
+      const users = new Router();
+      function showUser() {}
+      function createOrg() {}
+
+      users.get('/users/:id', { fields: 'all' }, showUser);
+      orgs.use('/:org', { type: 'team' }, users.routes());
+      orgs.post('/', createOrg);
+      router.use(orgs.routes());
+
+      const routes = router.getRoutes();
+      should(routes.map(one => one.method)).eql(['GET', 'POST']);
+      should(routes.map(one => one.fullPath)).eql(['/api/orgs/:org/users/:id', '/api/orgs']);
+      should(routes.map(one => one.routerPrefix)).eql(['/api/orgs/:org', '/api/orgs']);
+      should(routes[0].keys.map(key => key.name)).eql(['org', 'id']);
+      should(routes[0].query).eql({ type: 'team', fields: 'all' });
+      should(routes[0].handlerNames).eql(['showUser']);
+      should(routes[1].query).equal(undefined);
+    });
+
+    it('should list each path of path arrays', async () => {
+      const router = new Router();
+      const sub = new Router();
+      const matched = [];
+
+      sub.get(['/:id', '/by-name/:name'], (ctx) => {
+        matched.push(ctx.matchedRoute);
+      });
+      router.use(['/x', '/y/:org'], sub.routes());
+
+      const routes = router.getRoutes();
+      should(routes.map(one => one.fullPath)).eql([
+        '/x/:id', '/x/by-name/:name', '/y/:org/:id', '/y/:org/by-name/:name',
+      ]);
+      should(routes.map(one => one.routerPrefix)).eql(['/x', '/x', '/y/:org', '/y/:org']);
+      should(routes.map(one => one.keys.map(key => key.name))).eql([
+        ['id'], ['name'], ['org', 'id'], ['org', 'name'],
+      ]);
+      should(Object.keys(router.toOpenAPI().paths)).eql([
+        '/x/{id}', '/x/by-name/{name}', '/y/{org}/{id}', '/y/{org}/by-name/{name}',
+      ]);
+
+      await router.routes(false)({ url: '/y/koa/by-name/bob', method: 'GET' });
+      await router.routes(false)({ url: '/x/5', method: 'GET' });
+      should(matched).eql(['/y/:org/by-name/:name', '/x/:id']);
+    });
+  });
+
+  describe('compiled matching', () => {
+    function createRouter(options, hits) {
+      const router = new Router(options);
+      const sub = new Router({ prefix: '/sub' });
+      const hit = name => (ctx, next) => {
+        hits.push(name);
+        return next();
+      };
+
+      sub.get('/:id', hit('sub /:id'));
+      sub.use(hit('sub use'));
+
+      router.use(hit('use /'));
+      router.get('/users/list', hit('get /users/list'));
+      router.get('/users/:id', hit('get /users/:id'));
+      router.use('/users', hit('use /users'));
+      router.get('/:page', hit('get /:page'));
+      router.get('/users/:id.:format', hit('get /users/:id.:format'));
+      router.get('/user-:id', hit('get /user-:id'));
+      router.get('/users/list', { state: 'on' }, hit('get /users/list?state=on'));
+      router.use('/users/:id/', sub.routes());
+      router.all('*', hit('all *'));
+      router.get(/^\/reg(exp)?$/, hit('get regexp'));
+      return router;
+    }
+
+    it('should match in the same order as linear matching', async () => {
+      const urls = [
+        '/', '/users', '/USERS/list', '/users/list/', '/users/3', '/users/3.json',
+        '/user-3', '/users/3/sub/4', '/users/3/sub', '/reg', '/regexp', '//users//list',
+      ];
+      for (const url of urls) {
+        for (const query of [{}, { state: 'on' }]) {
+          const linear = [];
+          const compiled = [];
+          await createRouter({}, linear).routes(false)({ url, method: 'GET', query });
+          await createRouter({ compiled: true }, compiled).routes(false)({ url, method: 'GET', query });
+          should(compiled).eql(linear);
+        }
+      }
+    });
+
+    it('should respect caseSensitive', async () => {
+      let hit = 0;
+      const sensitive = new Router({ compiled: true, caseSensitive: true });
+      const insensitive = new Router({ compiled: true });
+      sensitive.get('/foo/bar', () => { hit++; });
+      insensitive.get('/foo/bar', () => { hit++; });
+
+      await sensitive.routes(false)({ url: '/FOO/bar', method: 'GET' });
+      should(hit).equal(0);
+      await insensitive.routes(false)({ url: '/FOO/bar', method: 'GET' });
+      should(hit).equal(1);
+    });
+
+    it('should only try layers that may match', async () => {
+      let tried = 0;
+      let hit = 0;
+      const router = new Router({ compiled: true });
+      for (let i = 0; i < 6000; i++) {
+        router.get(`/thing${i}/:id`, () => { throw new Error('wrong handler'); });
+      }
+      router.get('/thing42/:id', () => { hit++; });
+      for (const layer of router.stack) {
+        const { match } = layer;
+        layer.match = function (...args) {
+          tried++;
+          return match.apply(this, args);
+        };
+      }
+
+      await router.routes(false)({ url: '/thing5999/1', method: 'POST' });
+      should(tried).equal(1);
+      tried = 0;
+      await router.routes(false)({ url: '/nothing', method: 'GET' });
+      should(tried).equal(0);
+      await router.routes(false)({ url: '/thing42/1', method: 'POST' });
+      should(tried).equal(2);
+      should(hit).equal(0);
+    });
+
+    it('should pick up layers added later', async () => {
+      let hit = 0;
+      const router = new Router({ compiled: true });
+      router.get('/foo', () => { hit++; });
+      await router.routes(false)({ url: '/bar', method: 'GET' });
+
+      router.get('/bar', () => { hit++; });
+      await router.routes(false)({ url: '/bar', method: 'GET' });
+      should(hit).equal(1);
+    });
+  });
+
+  describe('methodNotAllowed', () => {
+    function createRouter(options) {
+      const router = new Router(options);
+      const sub = new Router();
+      router.get('/items', ctx => ctx.hit++);
+      sub.post('/items', () => {});
+      sub.delete('/items/:id', () => {});
+      router.use(sub.routes());
+      return router;
+    }
+
+    it('should respond 405 with methods allowed across routers', async () => {
+      const ctx = createContext('/items', 'PUT');
+      let hit = 0;
+      await createRouter({ methodNotAllowed: true }).routes(false)(ctx, () => { hit++; });
+      should(hit).equal(0);
+      should(ctx.status).equal(405);
+      should(ctx.responseHeaders.Allow).equal('GET,HEAD,POST');
+    });
+
+    it('should not respond 405 when the method is allowed', async () => {
+      const ctx = createContext('/items', 'GET');
+      ctx.hit = 0;
+      await createRouter({ methodNotAllowed: true }).routes(false)(ctx);
+      should(ctx.hit).equal(1);
+      should(ctx.status).equal(undefined);
+
+      const head = createContext('/items', 'HEAD');
+      head.hit = 0;
+      await createRouter({ methodNotAllowed: true }).routes(false)(head);
+      should(head.hit).equal(1);
+      should(head.status).equal(undefined);
+    });
+
+    it('should call next when the path does not match', async () => {
+      const ctx = createContext('/nothing', 'PUT');
+      let hit = 0;
+      await createRouter({ methodNotAllowed: true }).routes(false)(ctx, () => { hit++; });
+      should(hit).equal(1);
+      should(ctx.status).equal(undefined);
+    });
+
+    it('should call next when not enabled', async () => {
+      const ctx = createContext('/items', 'PUT');
+      let hit = 0;
+      await createRouter().routes(false)(ctx, () => { hit++; });
+      should(hit).equal(1);
+      should(ctx.status).equal(undefined);
+    });
+
+    it('should respond 501 to unknown methods if notImplemented', async () => {
+      const ctx = createContext('/items', 'FOO');
+      let hit = 0;
+      await createRouter({ notImplemented: true }).routes(false)(ctx, () => { hit++; });
+      should(hit).equal(0);
+      should(ctx.status).equal(501);
+
+      const known = createContext('/nothing', 'PUT');
+      await createRouter({ notImplemented: true }).routes(false)(known, () => { hit++; });
+      should(hit).equal(1);
+      should(known.status).equal(undefined);
+    });
+
+    it('should not respond 501 to methods handled by .all', async () => {
+      const ctx = createContext('/items', 'FOO');
+      const router = createRouter({ notImplemented: true });
+      router.all('*', (context) => { context.status = 200; });
+      await router.routes(false)(ctx);
+      should(ctx.status).equal(200);
+    });
+
+    it('should respond 405 to HEAD without GET handlers', async () => {
+      const ctx = createContext('/items/1', 'HEAD');
+      let hit = 0;
+      await createRouter({ methodNotAllowed: true }).routes(false)(ctx, () => { hit++; });
+      should(hit).equal(0);
+      should(ctx.status).equal(405);
+      should(ctx.responseHeaders.Allow).equal('DELETE');
+
+      const router = new Router();
+      router.post('/items', () => {});
+      router.notFound((context) => {
+        context.status = 404;
+      });
+      const head = createContext('/items', 'HEAD');
+      await router.routes(false)(head);
+      should(head.status).equal(404);
+    });
+  });
+
+  describe('OPTIONS', () => {
+    it('should respond with allowed methods', async () => {
+      const ctx = createContext('/items', 'OPTIONS');
+      const router = new Router();
+      router.get('/items', () => {});
+      router.post('/items', () => {});
+
+      await router.routes(false)(ctx);
+      should(ctx.status).equal(200);
+      should(ctx.body).equal('GET,HEAD,POST');
+      should(ctx.responseHeaders.Allow).equal('GET,HEAD,POST');
+    });
+
+    it('should respond 204 without body if configured', async () => {
+      const ctx = createContext('/items', 'OPTIONS');
+      const router = new Router({ optionsStatus: 204 });
+      router.get('/items', () => {});
+
+      await router.routes(false)(ctx);
+      should(ctx.status).equal(204);
+      should(ctx.body).equal(undefined);
+      should(ctx.responseHeaders.Allow).equal('GET,HEAD');
+    });
+
+    it('should support a custom handler', async () => {
+      const ctx = createContext('/items', 'OPTIONS');
+      const router = new Router({
+        async optionsHandler(context, methods) {
+          context.body = { methods };
+        },
+      });
+      router.get('/items', () => {});
+
+      await router.routes(false)(ctx);
+      should(ctx.body).eql({ methods: ['GET', 'HEAD'] });
+      should(ctx.responseHeaders.Allow).equal(undefined);
+    });
+
+    it('should keep the response of nested routers', async () => {
+      const router = new Router();
+      const inner = new Router({ optionsStatus: 204 });
+      inner.get('/items', () => {});
+      router.use('/api', inner.routes());
+
+      const ctx = createContext('/api/items', 'OPTIONS');
+      await router.routes(false)(ctx);
+      should(ctx.status).equal(204);
+      should(ctx.body).equal(undefined);
+
+      const handled = new Router({
+        async optionsHandler(context, methods) {
+          context.body = { methods };
+        },
+      });
+      handled.get('/items', () => {});
+      const outer = new Router();
+      outer.use('/api', handled.routes());
+
+      const custom = createContext('/api/items', 'OPTIONS');
+      await outer.routes(false)(custom);
+      should(custom.body).eql({ methods: ['GET', 'HEAD'] });
+      should(custom.responseHeaders.Allow).equal(undefined);
+    });
+
+    describe('CORS', () => {
+      const preflight = {
+        origin: 'https://a.com',
+        'access-control-request-method': 'POST',
+        'access-control-request-headers': 'x-token',
+      };
+
+      function createRouter() {
+        const router = new Router({
+          optionsStatus: 204,
+          cors: {
+            origin: ['https://a.com', /\.b\.com$/],
+            credentials: true,
+            maxAge: 600,
+          },
+        });
+        router.get('/items', (ctx) => { ctx.body = 'items'; });
+        router.post('/items', () => {});
+        return router;
+      }
+
+      it('should answer preflight requests', async () => {
+        const ctx = createContext('/items', 'OPTIONS', preflight);
+        await createRouter().routes(false)(ctx);
+        should(ctx.status).equal(204);
+        should(ctx.responseHeaders).eql({
+          'Access-Control-Allow-Origin': 'https://a.com',
+          'Access-Control-Allow-Credentials': 'true',
+          'Access-Control-Allow-Methods': 'GET,HEAD,POST',
+          'Access-Control-Allow-Headers': 'x-token',
+          'Access-Control-Max-Age': '600',
+          Allow: 'GET,HEAD,POST',
+        });
+        should(ctx.varied).eql(['Origin']);
+      });
+
+      it('should not allow other origins', async () => {
+        const ctx = createContext('/items', 'OPTIONS', Object.assign({}, preflight, { origin: 'https://c.com' }));
+        await createRouter().routes(false)(ctx);
+        should(ctx.responseHeaders).eql({ Allow: 'GET,HEAD,POST' });
+
+        const matched = createContext('/items', 'OPTIONS', Object.assign({}, preflight, { origin: 'https://x.b.com' }));
+        await createRouter().routes(false)(matched);
+        should(matched.responseHeaders['Access-Control-Allow-Origin']).equal('https://x.b.com');
+      });
+
+      it('should set headers of actual requests', async () => {
+        const ctx = createContext('/items', 'GET', { origin: 'https://a.com' });
+        await createRouter().routes(false)(ctx);
+        should(ctx.body).equal('items');
+        should(ctx.responseHeaders).eql({
+          'Access-Control-Allow-Origin': 'https://a.com',
+          'Access-Control-Allow-Credentials': 'true',
+        });
+      });
+
+      it('should merge route policies over router policies', async () => {
+        const router = createRouter();
+        const sub = new Router();
+        sub.route('/public')
+          .cors({
+            origin: '*',
+            credentials: false,
+            headers: ['x-a', 'x-b'],
+            exposeHeaders: 'x-c',
+          })
+          .get((ctx) => { ctx.body = 'public'; })
+          .put(() => {});
+        router.use(sub.routes());
+
+        const ctx = createContext('/public', 'OPTIONS', Object.assign({}, preflight, {
+          origin: 'https://c.com',
+          'access-control-request-method': 'PUT',
+        }));
+        await router.routes(false)(ctx);
+        should(ctx.responseHeaders).eql({
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Methods': 'GET,PUT,HEAD',
+          'Access-Control-Allow-Headers': 'x-a,x-b',
+          'Access-Control-Max-Age': '600',
+          Allow: 'GET,PUT,HEAD',
+        });
+
+        const actual = createContext('/public', 'GET', { origin: 'https://c.com' });
+        await sub.routes(false)(actual);
+        should(actual.responseHeaders).eql({
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Expose-Headers': 'x-c',
+        });
+      });
+
+      it('should merge the policies of nested routers over outer ones', async () => {
+        const router = new Router({ cors: { origin: '*' } });
+        const inner = new Router({ cors: { origin: 'https://a.com', credentials: true } });
+        inner.get('/items', () => {});
+        router.use('/api', inner.routes());
+
+        const ctx = createContext('/api/items', 'OPTIONS', Object.assign({}, preflight, { 'access-control-request-method': 'GET' }));
+        await router.routes(false)(ctx);
+        should(ctx.responseHeaders).eql({
+          'Access-Control-Allow-Origin': 'https://a.com',
+          'Access-Control-Allow-Credentials': 'true',
+          'Access-Control-Allow-Methods': 'GET,HEAD',
+          'Access-Control-Allow-Headers': 'x-token',
+          Allow: 'GET,HEAD',
+        });
+
+        const plain = new Router({ cors: { origin: '*' } });
+        const sub = new Router();
+        sub.get('/items', () => {});
+        plain.use('/api', sub.routes());
+
+        const outerOnly = createContext('/api/items', 'OPTIONS', preflight);
+        await plain.routes(false)(outerOnly);
+        should(outerOnly.responseHeaders['Access-Control-Allow-Origin']).equal('*');
+      });
+
+      it('should only apply the policies of routes handling the method requested', async () => {
+        const router = new Router();
+        router.route('/items').cors({ origin: 'https://a.com' }).get(() => {});
+        router.route('/items').cors({ origin: 'https://b.com' }).post(() => {});
+
+        const get = createContext('/items', 'OPTIONS', Object.assign({}, preflight, { 'access-control-request-method': 'GET' }));
+        await router.routes(false)(get);
+        should(get.responseHeaders['Access-Control-Allow-Origin']).equal('https://a.com');
+        should(get.responseHeaders['Access-Control-Allow-Methods']).equal('GET,HEAD');
+
+        const post = createContext('/items', 'OPTIONS', Object.assign({}, preflight, { origin: 'https://b.com' }));
+        await router.routes(false)(post);
+        should(post.responseHeaders['Access-Control-Allow-Origin']).equal('https://b.com');
+        should(post.responseHeaders['Access-Control-Allow-Methods']).equal('POST');
+
+        const other = createContext('/items', 'OPTIONS', preflight);
+        await router.routes(false)(other);
+        should(other.responseHeaders).eql({ Allow: 'GET,HEAD,POST' });
+      });
+
+      it('should not treat plain OPTIONS requests as preflight', async () => {
+        const ctx = createContext('/items', 'OPTIONS', { origin: 'https://a.com' });
+        await createRouter().routes(false)(ctx);
+        should(ctx.responseHeaders).eql({ Allow: 'GET,HEAD,POST' });
+      });
+    });
+  });
+
+  describe('.host', () => {
+    it('should match hostname with params', async () => {
+      const router = new Router();
+      const api = new Router({ mergeParams: true });
+      const hits = [];
+
+      api.get('/users/:id', (ctx) => {
+        hits.push(Object.assign({}, ctx.params));
+      });
+      router.host('api.:tenant.example.com', api.routes());
+      router.use((ctx) => {
+        hits.push('fallback');
+      });
+
+      const handle = router.routes(false);
+      await handle({ url: '/users/1', method: 'GET', hostname: 'api.koa.example.com' });
+      await handle({ url: '/users/2', method: 'GET', hostname: 'API.Koa.example.com' });
+      await handle({ url: '/users/3', method: 'GET', hostname: 'www.example.com' });
+      await handle({ url: '/users/4', method: 'GET', hostname: 'api.a.b.example.com' });
+      await handle({ url: '/users/5', method: 'GET' });
+      should(hits).eql([
+        { tenant: 'koa', id: '1' },
+        { tenant: 'Koa', id: '2' },
+        'fallback',
+        'fallback',
+        'fallback',
+      ]);
+    });
+
+    it('should not merge host params unless mergeParams', async () => {
+      const router = new Router();
+      const api = new Router();
+      let params;
+
+      api.get('/users/:id', (ctx) => { ({ params } = ctx); });
+      router.host(':tenant.example.com', api.routes());
+
+      await router.routes(false)({ url: '/users/1', method: 'GET', hostname: 'koa.example.com' });
+      should(params).eql({ id: '1' });
+    });
+
+    it('should support host conditions on routes', async () => {
+      const router = new Router();
+      const hits = [];
+
+      router.get('/', { host: ':tenant.example.com', state: 'on' }, (ctx) => {
+        hits.push(ctx.params.tenant);
+      });
+      router.route('/', { host: 'www.example.com' }).get(() => {
+        hits.push('www');
+      });
+
+      const handle = (hostname, state) => router.routes(false)({
+        url: '/',
+        method: 'GET',
+        hostname,
+        query: { state },
+      });
+      await handle('koa.example.com', 'on');
+      await handle('www.example.com', 'off');
+      await handle('example.com', 'on');
+      should(hits).eql(['koa', 'www']);
+    });
+
+    it('should call param functions of host params', async () => {
+      const router = new Router();
+      let tenant;
+
+      router.param('tenant', async (ctx, next, val) => {
+        ctx.params.tenant = val.toUpperCase();
+        return next();
+      });
+      router.host(':tenant.example.com', (ctx) => {
+        ({ tenant } = ctx.params);
+      });
+
+      await router.routes(false)({ url: '/', method: 'GET', hostname: 'koa.example.com' });
+      should(tenant).equal('KOA');
+    });
+  });
+
+  describe('headers condition', () => {
+    it('should match headers case-insensitively', async () => {
+      const hits = [];
+      const router = new Router();
+
+      router.get('/items', { headers: { 'X-Client': /^mobile/ } }, () => { hits.push('mobile'); });
+      router.get('/items', { headers: { 'x-version': ['1', '2'] }, state: 'on' }, () => { hits.push('v1'); });
+      router.use({ headers: { 'X-Debug': val => val !== undefined } }, () => { hits.push('debug'); });
+      router.get('/items', () => { hits.push('default'); });
+
+      const handle = router.routes(false);
+      await handle(createContext('/items', 'GET', { 'x-client': 'mobile-ios' }));
+      await handle(createContext('/items', 'GET', { 'x-client': 'desktop', 'x-version': '2' }));
+      await handle(Object.assign(createContext('/items', 'GET', { 'x-version': '2' }), { query: { state: 'on' } }));
+      await handle(createContext('/items', 'GET', { 'x-debug': '' }));
+      await handle(createContext('/items', 'GET'));
+      should(hits).eql(['mobile', 'default', 'v1', 'debug', 'default']);
+    });
+
+    it('should still collect methods of routes excluded by conditions', async () => {
+      const router = new Router({ methodNotAllowed: true });
+      router.get('/items', { headers: { 'x-client': 'mobile' } }, () => {});
+      router.post('/items', { state: 'on' }, () => {});
+
+      const options = createContext('/items', 'OPTIONS');
+      await router.routes(false)(options);
+      should(options.responseHeaders.Allow).equal('GET,HEAD,POST');
+
+      const put = createContext('/items', 'PUT');
+      await router.routes(false)(put);
+      should(put.status).equal(405);
+      should(put.responseHeaders.Allow).equal('GET,HEAD,POST');
+
+      let hit = 0;
+      const get = createContext('/items', 'GET');
+      await router.routes(false)(get, () => { hit++; });
+      should(get.status).equal(undefined);
+      should(hit).equal(1);
+    });
+
+    it('should not collect routes for all methods as a method', async () => {
+      const router = new Router({ methodNotAllowed: true });
+      router.all('/items', { headers: { 'x-client': 'mobile' } }, () => {});
+      router.get('/items', { state: 'on' }, () => {});
+
+      const options = createContext('/items', 'OPTIONS');
+      await router.routes(false)(options);
+      should(options.responseHeaders.Allow).equal('GET,HEAD');
+
+      // served by the route for all methods, if only the conditions were met
+      let hit = 0;
+      const put = createContext('/items', 'PUT');
+      await router.routes(false)(put, () => { hit++; });
+      should(put.status).equal(undefined);
+      should(hit).equal(1);
+    });
+  });
+
+  describe('accepts condition', () => {
+    it('should negotiate among handlers of the route', async () => {
+      const router = new Router();
+      router.get('/items', { accepts: ['json', 'html'], state: 'on' }, async (ctx) => {
+        ctx.body = ctx.accepts('json', 'html');
+      });
+
+      const handle = (accept, state) => {
+        const headers = { accept };
+        const ctx = {
+          url: '/items',
+          method: 'GET',
+          headers,
+          query: { state },
+          accepts(...types) {
+            return accepts({ headers }).types(...types);
+          },
+        };
+        return router.routes(false)(ctx).then(() => ctx);
+      };
+
+      should((await handle('text/html', 'on')).body).equal('html');
+      should((await handle('image/png', 'on')).status).equal(406);
+      should((await handle('text/html', 'off')).body).equal(undefined);
+    });
+  });
+
+  describe('versioning', () => {
+    function createRouter(hits, options) {
+      const router = new Router(options);
+      const v1 = new Router({ version: '1' });
+      const v2 = new Router({ version: '>=2 <3' });
+
+      v1.get('/users', (ctx) => {
+        hits.push(['v1', ctx.version, ctx.url, ctx.baseUrl]);
+      });
+      v2.get('/users', (ctx) => {
+        hits.push(['v2', ctx.version, ctx.url, ctx.baseUrl]);
+      });
+      router.use(v1.routes(), v2.routes());
+      return router;
+    }
+
+    it('should pick the router by the Accept-Version header', async () => {
+      const hits = [];
+      const handle = createRouter(hits).routes(false);
+
+      await handle({ url: '/users', method: 'GET', headers: { 'accept-version': '1' } });
+      await handle({ url: '/users', method: 'GET', headers: { 'accept-version': '~2.1' } });
+      await handle({ url: '/users', method: 'GET', headers: { 'accept-version': '3' } });
+      should(hits).eql([
+        ['v1', '1.0.0', '/users', ''],
+        ['v2', '2.1.0', '/users', ''],
+      ]);
+    });
+
+    it('should pick the router by the media type parameter', async () => {
+      const hits = [];
+      const handle = createRouter(hits).routes(false);
+
+      await handle({ url: '/users', method: 'GET', headers: { accept: 'application/json; version=1' } });
+      should(hits).eql([['v1', '1.0.0', '/users', '']]);
+    });
+
+    it('should pick the router by the path segment', async () => {
+      const hits = [];
+      const router = createRouter(hits, { versioning: { path: true } });
+      await router.routes(false)({ url: '/v2/users?page=1', method: 'GET', headers: { 'accept-version': '1' } });
+      should(hits).eql([['v2', '2.0.0', '/users?page=1', '/v2']]);
+
+      // restored once passed on
+      const ctx = { url: '/v1/groups', method: 'GET' };
+      await router.routes(false)(ctx);
+      should(ctx.url).equal('/v1/groups');
+      should(ctx.baseUrl).equal(undefined);
+      should(ctx.version).equal(undefined);
+    });
+
+    it('should look for the version as routers inside are given', async () => {
+      const hits = [];
+      const router = new Router();
+      const api = createRouter(hits, { versioning: { path: true } });
+      router.use('/api', api.routes());
+      router.get('/api/v2/users', () => {
+        hits.push('outer');
+      });
+
+      const handle = router.routes(false);
+      await handle({ url: '/api/v2/users', method: 'GET' });
+      await handle({ url: '/api/users', method: 'GET', headers: { 'accept-version': '1' } });
+      // requested in the way the routers outside look for
+      await handle({ url: '/api/v1/users', method: 'GET', headers: { 'accept-version': '2' } });
+      should(hits).eql([
+        ['v2', '2.0.0', '/users', '/api/v2'],
+        ['v1', '1.0.0', '/users', '/api'],
+      ]);
+    });
+
+    it('should fall back to the default or the latest version', async () => {
+      const hits = [];
+
+      await createRouter(hits).routes(false)({ url: '/users', method: 'GET' });
+      await createRouter(hits, { versioning: { default: '1.0.0' } }).routes(false)({ url: '/users', method: 'GET' });
+      should(hits).eql([
+        ['v2', '2.0.0', '/users', ''],
+        ['v1', '1.0.0', '/users', ''],
+      ]);
+    });
+
+    it('should support version conditions on handlers', async () => {
+      const router = new Router();
+      const hits = [];
+
+      router.route('/items')
+        .get({ version: '1' }, (ctx) => {
+          hits.push('v1');
+        })
+        .get({ version: '>=2' }, (ctx) => {
+          hits.push(`v${ctx.version}`);
+        });
+
+      const handle = router.routes(false);
+      await handle({ url: '/items', method: 'GET', headers: { 'accept-version': '1.2' } });
+      await handle({ url: '/items', method: 'GET', headers: { 'accept-version': '3' } });
+      await handle({ url: '/items', method: 'GET', headers: {} });
+      should(hits).eql(['v1', 'v3.0.0', 'v2.0.0']);
+    });
+
+    it('should resolve the range requested to the latest version served', async () => {
+      const hits = [];
+      const handle = createRouter(hits).routes(false);
+
+      await handle({ url: '/users', method: 'GET', headers: { 'accept-version': '*' } });
+      await handle({ url: '/users', method: 'GET', headers: { 'accept-version': 'x' } });
+      await handle({ url: '/users', method: 'GET', headers: { 'accept-version': '>=1' } });
+      await handle({ url: '/users', method: 'GET', headers: { 'accept-version': '<2' } });
+      await handle({ url: '/users', method: 'GET', headers: { 'accept-version': '1.5' } });
+      should(hits).eql([
+        ['v2', '2.0.0', '/users', ''],
+        ['v2', '2.0.0', '/users', ''],
+        ['v2', '2.0.0', '/users', ''],
+        ['v1', '1.0.0', '/users', ''],
+        ['v1', '1.5.0', '/users', ''],
+      ]);
+    });
+
+    it('should throw 400 on invalid versions', async () => {
+      const router = createRouter([]);
+
+      const err = await router.routes(false)({ url: '/users', method: 'GET', headers: { 'accept-version': 'latest' } })
+        .then(() => undefined, e => e);
+      should(err).be.an.Error();
+      should(err.status).equal(400);
+      should(() => new Router({ version: 'two' })).throw(TypeError);
+
+      const ctx = { url: '/users', method: 'GET', headers: { 'accept-version': 'latest' } };
+      router.catch((e, context) => {
+        context.status = e.status;
+      });
+      await router.routes(false)(ctx);
+      should(ctx.status).equal(400);
+      should(() => router.get('/', { version: 'two' }, () => {})).throw(TypeError);
+    });
+  });
+
+  describe('validate', () => {
+    const schemas = {
+      params: {
+        type: 'object',
+        properties: { id: { type: 'integer', minimum: 1 } },
+      },
+      query: {
+        type: 'object',
+        properties: {
+          draft: { type: 'boolean' },
+          tags: { type: 'array', items: { type: 'string', maxLength: 3 } },
+        },
+        required: ['draft'],
+      },
+      body: {
+        type: 'object',
+        properties: { title: { type: 'string', minLength: 1 } },
+        required: ['title'],
+        additionalProperties: false,
+      },
+    };
+
+    function createPost(url, query, body) {
+      return Object.assign(createContext(url, 'POST'), { query, request: { body } });
+    }
+
+    it('should coerce params and query before handlers run', async () => {
+      const router = new Router();
+      const hits = [];
+
+      router.post('/posts/:id', { validate: schemas }, (ctx) => {
+        hits.push(ctx.params, ctx.query);
+      });
+
+      const ctx = createPost('/posts/3', { draft: 'true', tags: 'koa' }, { title: 'hi' });
+      await router.routes(false)(ctx);
+      should(hits).eql([{ id: 3 }, { draft: true, tags: ['koa'] }]);
+    });
+
+    it('should throw a 400 error with the issues', async () => {
+      const router = new Router();
+      let called = false;
+
+      router.post('/posts/:id', { validate: schemas }, (ctx) => {
+        called = true;
+      });
+
+      const ctx = createPost('/posts/0', { tags: ['koa', 'router'] }, { title: '', extra: 1 });
+      const err = await router.routes(false)(ctx).then(() => undefined, e => e);
+      should(called).be.false();
+      should(err).be.an.Error();
+      should(err.status).equal(400);
+      should(err.expose).be.true();
+      should(err.errors).eql([
+        { location: 'params', path: '/id', message: 'should be >= 1' },
+        { location: 'query', path: '/draft', message: 'is required' },
+        { location: 'query', path: '/tags/1', message: 'should not be longer than 3 characters' },
+        { location: 'body', path: '/title', message: 'should not be shorter than 1 characters' },
+        { location: 'body', path: '/extra', message: 'is not allowed' },
+      ]);
+    });
+
+    it('should keep the other conditions on the route', async () => {
+      const router = new Router();
+      const hits = [];
+
+      router.post('/posts', { type: 'draft', validate: { body: { type: 'object' } } }, (ctx) => {
+        hits.push('draft');
+      });
+      router.post('/posts', (ctx) => {
+        hits.push('other');
+      });
+
+      const handle = router.routes(false);
+      await handle(createPost('/posts', { type: 'draft' }, {}));
+      await handle(createPost('/posts', {}, 'text'));
+      should(hits).eql(['draft', 'other']);
+    });
+
+    it('should support pluggable validators', async () => {
+      const compiled = [];
+      const router = new Router({
+        validator(schema, options) {
+          compiled.push([schema, options]);
+          return value => (value.id === 'me' ? { value: { id: 42 } } : { errors: [{ path: '/id', message: 'is unknown' }] });
+        },
+      });
+      let params;
+
+      router.get('/users/:id', { validate: { params: 'user' } }, (ctx) => {
+        ({ params } = ctx);
+      });
+      should(compiled).eql([['user', { coerce: true }]]);
+
+      await router.routes(false)({ url: '/users/me', method: 'GET' });
+      should(params).eql({ id: 42 });
+
+      const err = await router.routes(false)({ url: '/users/you', method: 'GET' }).then(() => undefined, e => e);
+      should(err.errors).eql([{ location: 'params', path: '/id', message: 'is unknown' }]);
+    });
+
+    it('should throw on unknown locations', () => {
+      const router = new Router();
+      should(() => router.get('/', { validate: { headers: {} } }, () => {})).throw(TypeError);
+    });
+  });
+
+  describe('.toOpenAPI', () => {
+    function parameter(name, location, schema, required = true) {
+      return {
+        name,
+        in: location,
+        required,
+        schema,
+      };
+    }
+
+    function show() {}
+    function list() {}
+    function all() {}
+    function legacy() {}
+
+    it('should describe paths, params and conditions', () => {
+      const router = new Router();
+      const users = new Router();
+
+      users.get('user.show', '/:id(\\d+)', { openapi: { summary: 'Show a user' } }, show);
+      users.route('/', { role: ['admin', 'guest'], q: /^\w+$/, headers: { 'X-Client': 'web' } })
+        .get(list)
+        .all(all);
+      router.use('/orgs/:org/users', users.routes());
+      router.get(/^\/legacy/, legacy);
+
+      const doc = router.toOpenAPI({ info: { title: 'Users' } });
+      should(doc.openapi).match(/^3\./);
+      should(doc.info).eql({ title: 'Users', version: '1.0.0' });
+      should(Object.keys(doc.paths)).eql(['/orgs/{org}/users/{id}', '/orgs/{org}/users']);
+      should(doc.paths['/orgs/{org}/users/{id}']).eql({
+        get: {
+          operationId: 'user.show',
+          summary: 'Show a user',
+          parameters: [
+            parameter('org', 'path', { type: 'string' }),
+            parameter('id', 'path', { type: 'string', pattern: '^(?:\\d+)$' }),
+          ],
+          responses: { default: { description: 'Default response' } },
+        },
+      });
+      should(doc.paths['/orgs/{org}/users'].get.parameters).eql([
+        parameter('org', 'path', { type: 'string' }),
+        parameter('role', 'query', { type: 'string', enum: ['admin', 'guest'] }),
+        parameter('q', 'query', { type: 'string', pattern: '^\\w+$' }),
+        parameter('x-client', 'header', { type: 'string', enum: ['web'] }),
+      ]);
+    });
+
+    it('should describe validate schemas and responses', () => {
+      const router = new Router();
+
+      router.post('/posts/:id', {
+        validate: {
+          params: { type: 'object', properties: { id: { type: 'integer' } } },
+          query: { type: 'object', properties: { draft: { type: 'boolean' } }, required: ['draft'] },
+          body: { type: 'object', properties: { title: { type: 'string' } } },
+        },
+        openapi: { tags: ['posts'], responses: { 201: { description: 'Created' } } },
+      }, () => {});
+
+      should(router.toOpenAPI().paths['/posts/{id}'].post).eql({
+        parameters: [
+          parameter('id', 'path', { type: 'integer' }),
+          parameter('draft', 'query', { type: 'boolean' }),
+        ],
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { type: 'object', properties: { title: { type: 'string' } } } } },
+        },
+        tags: ['posts'],
+        responses: { 201: { description: 'Created' } },
+      });
+    });
+
+    it('should describe typed params by their types', async () => {
+      const router = new Router();
+      const orgs = new Router();
+      orgs.get('item.show', '/items/:n<number>/:slug<slug>', show);
+      router.use('/orgs/:org<int>', orgs.routes());
+
+      const doc = router.toOpenAPI();
+      should(doc.paths['/orgs/{org}/items/{n}/{slug}'].get.parameters).eql([
+        parameter('org', 'path', { type: 'integer' }),
+        parameter('n', 'path', { type: 'number' }),
+        parameter('slug', 'path', { type: 'string', pattern: '^(?:[a-z0-9][a-z0-9-]*)$' }),
+      ]);
+
+      // described back the same once served
+      let params;
+      const served = Router.fromOpenAPI(doc, {
+        'item.show': (ctx) => {
+          ({ params } = ctx);
+        },
+      });
+      await served.routes(false)({ url: '/orgs/2/items/1.5/a-b', method: 'GET', headers: {} });
+      should(params).eql({ org: 2, n: 1.5, slug: 'a-b' });
+      should(served.toOpenAPI().paths).eql(doc.paths);
+    });
+  });
+
+  describe('.fromOpenAPI', () => {
+    const spec = {
+      openapi: '3.0.3',
+      info: { title: 'Users', version: '1.0.0' },
+      paths: {
+        '/users/{id}': {
+          parameters: [
+            {
+              name: 'id',
+              in: 'path',
+              required: true,
+              schema: { $ref: '#/components/schemas/Id' },
+            },
+          ],
+          get: {
+            operationId: 'showUser',
+            summary: 'Show a user',
+            responses: { 200: { description: 'The user' } },
+          },
+          delete: {
+            operationId: 'deleteUser',
+            responses: { 204: { description: 'Deleted' } },
+          },
+        },
+        '/users/me': {
+          get: { operationId: 'showMe', responses: { 200: { description: 'Me' } } },
+        },
+        '/users:batch': {
+          post: {
+            operationId: 'batchUsers',
+            requestBody: {
+              required: true,
+              content: {
+                'application/json': {
+                  schema: { type: 'array', items: { $ref: '#/components/schemas/Id' } },
+                },
+              },
+            },
+            responses: { 200: { description: 'Done' } },
+          },
+        },
+      },
+      components: {
+        schemas: { Id: { type: 'integer', minimum: 1 } },
+      },
+    };
+
+    it('should wire handlers by operationId', async () => {
+      const hits = [];
+      const router = Router.fromOpenAPI(spec, {
+        showUser: (ctx) => { hits.push(['showUser', ctx.params.id]); },
+        showMe: (ctx) => { hits.push(['showMe']); },
+        batchUsers: (ctx) => { hits.push(['batchUsers', ctx.request.body]); },
+      });
+
+      const handle = router.routes(false);
+      await handle({ url: '/users/me', method: 'GET' });
+      await handle({ url: '/users/5', method: 'GET' });
+      await handle({ url: '/users:batch', method: 'POST', request: { body: [1, 2] } });
+      should(hits).eql([['showMe'], ['showUser', 5], ['batchUsers', [1, 2]]]);
+      should(router.url('showUser', { id: 5 })).equal('/users/5');
+    });
+
+    it('should validate parameters and bodies', async () => {
+      const router = Router.fromOpenAPI(spec, { showUser: () => {}, batchUsers: () => {} });
+      const handle = router.routes(false);
+
+      const errors = await Promise.all([
+        handle({ url: '/users/0', method: 'GET' }),
+        handle({ url: '/users:batch', method: 'POST', request: { body: ['a'] } }),
+      ].map(promise => promise.then(() => undefined, err => err.errors)));
+      should(errors).eql([
+        [{ location: 'params', path: '/id', message: 'should be >= 1' }],
+        [{ location: 'body', path: '/0', message: 'should be integer' }],
+      ]);
+    });
+
+    it('should respond 501 to operations without handlers', async () => {
+      const router = Router.fromOpenAPI(spec);
+      const ctx = { url: '/users/1', method: 'DELETE' };
+
+      await router.routes(false)(ctx);
+      should(ctx.status).equal(501);
+    });
+
+    it('should throw on handlers of no operation', () => {
+      should(() => Router.fromOpenAPI(spec, {
+        showUsr: () => {},
+        showUser: () => {},
+        listUser: () => {},
+      })).throw(TypeError, { message: 'no operation with the operationId of handlers "showUsr", "listUser"' });
+    });
+
+    it('should describe the operations back', () => {
+      const doc = Router.fromOpenAPI(spec).toOpenAPI({ info: spec.info });
+
+      should(Object.keys(doc.paths)).eql(['/users/me', '/users/{id}', '/users:batch']);
+      should(doc.paths['/users/{id}'].get).eql({
+        operationId: 'showUser',
+        parameters: [{
+          name: 'id',
+          in: 'path',
+          required: true,
+          schema: { type: 'integer', minimum: 1 },
+        }],
+        summary: 'Show a user',
+        responses: { 200: { description: 'The user' } },
+      });
+    });
+  });
+
+  describe('typed params', () => {
+    it('should match and parse built-in types', async () => {
+      const router = new Router();
+      const hits = [];
+
+      router.get('/users/:id<int>', (ctx) => {
+        hits.push(['user', ctx.params.id]);
+      });
+      router.get('/posts/:slug<slug>', (ctx) => {
+        hits.push(['post', ctx.params.slug]);
+      });
+      router.get('/files/:uuid<uuid>', (ctx) => {
+        hits.push(['file', ctx.params.uuid]);
+      });
+      router.get('/days/:day<date>/:hours<number>+', (ctx) => {
+        hits.push(['day', ctx.params.day.toISOString(), ctx.params.hours]);
+      });
+      router.use((ctx) => {
+        hits.push(['fallback', ctx.url]);
+      });
+
+      const handle = router.routes(false);
+      await handle({ url: '/users/42', method: 'GET' });
+      await handle({ url: '/users/me', method: 'GET' });
+      await handle({ url: '/posts/hello-koa', method: 'GET' });
+      await handle({ url: '/files/0f8fad5b-d9cb-469f-a165-70867728950e', method: 'GET' });
+      await handle({ url: '/days/2017-10-01/8/12.5', method: 'GET' });
+      should(hits).eql([
+        ['user', 42],
+        ['fallback', '/users/me'],
+        ['post', 'hello-koa'],
+        ['file', '0f8fad5b-d9cb-469f-a165-70867728950e'],
+        ['day', '2017-10-01T00:00:00.000Z', [8, 12.5]],
+      ]);
+    });
+
+    it('should pass parsed values to param callbacks', async () => {
+      const router = new Router();
+      let param;
+
+      router.param('id', (ctx, next, id) => {
+        param = id;
+        return next();
+      });
+      router.get('/users/:id<int>', () => {});
+
+      await router.routes(false)({ url: '/users/7', method: 'GET' });
+      should(param).equal(7);
+    });
+
+    it('should call param callbacks once per request', async () => {
+      const router = new Router();
+      const calls = [];
+
+      router.param('day', (ctx, next, day) => {
+        calls.push(day.toISOString());
+        return next();
+      });
+      router.get('/days/:day<date>', (ctx, next) => next());
+      router.get('/days/:day<date>', () => {});
+
+      await router.routes(false)({ url: '/days/2017-10-01', method: 'GET' });
+      should(calls).eql(['2017-10-01T00:00:00.000Z']);
+    });
+
+    it('should support custom types', async () => {
+      const router = new Router();
+      let params;
+
+      Router.registerParamType('hex', { pattern: /[0-9a-f]+/, parse: val => parseInt(val, 16) });
+      router.get('color', '/colors/:rgb<hex>', (ctx) => {
+        ({ params } = ctx);
+      });
+
+      await router.routes(false)({ url: '/colors/ff8000', method: 'GET' });
+      should(params).eql({ rgb: 0xff8000 });
+      should(router.url('color', { rgb: 'ff' })).equal('/colors/ff');
+      should(() => router.url('color', { rgb: 'red' })).throw(TypeError);
+    });
+
+    it('should throw 400 on values failing to parse', async () => {
+      const router = new Router();
+      router.get('/days/:day<date>', () => {});
+
+      const err = await router.routes(false)({ url: '/days/2017-13-45', method: 'GET' })
+        .then(() => undefined, e => e);
+      should(err).be.an.instanceOf(RangeError);
+      should(err.status).equal(400);
+    });
+
+    it('should reject unknown types and patterns with groups', () => {
+      should(() => new Router().get('/:id<integer>', () => {})).throw(TypeError);
+      should(() => Router.registerParamType('year', { pattern: '(19|20)\\d{2}' })).throw(TypeError);
+    });
+  });
+
+  describe('.paramTransformer', () => {
+    it('should validate params with RegExps by default', async () => {
+      const router = new Router();
+      const hits = [];
+
+      router.param('id', /^\d+$/);
+      router.get('/users/:id', (ctx) => {
+        hits.push(['user', ctx.params.id]);
+      });
+      router.get('/users/:name', (ctx) => {
+        hits.push(['name', ctx.params.name]);
+      });
+
+      const handle = router.routes(false);
+      await handle({ url: '/users/42', method: 'GET' });
+      await handle({ url: '/users/koa', method: 'GET' });
+      should(hits).eql([['user', '42'], ['name', 'koa']]);
+    });
+
+    it('should load params with loaders by default', async () => {
+      class User {
+        static async load(id) {
+          return id === '1' ? { id, name: 'koa' } : null;
+        }
+      }
+      const router = new Router();
+      const hits = [];
+
+      router.param('user', User);
+      router.get('/users/:user', (ctx) => {
+        hits.push(ctx.state.user);
+      });
+      router.use((ctx) => {
+        hits.push('not found');
+      });
+
+      const handle = router.routes(false);
+      await handle({ url: '/users/1', method: 'GET', state: {} });
+      await handle({ url: '/users/2', method: 'GET', state: {} });
+      should(hits).eql([{ id: '1', name: 'koa' }, 'not found']);
+    });
+
+    it('should apply transformers of the router first', async () => {
+      const router = new Router();
+      const args = [];
+
+      router
+        .paramTransformer((name, arg) => {
+          args.push([name, arg]);
+          return typeof arg === 'number' ? new RegExp(`^${arg}$`) : undefined;
+        })
+        .param('id', 5);
+      router.get('/:id', (ctx) => {
+        args.push(ctx.params.id);
+      });
+
+      await router.routes(false)({ url: '/4', method: 'GET' });
+      await router.routes(false)({ url: '/5', method: 'GET' });
+      should(args).eql([['id', 5], '5']);
+    });
+
+    it('should support global transformers', () => {
+      const transformer = (name, arg) => (arg === 'skip' ? (ctx, next) => next('route') : undefined);
+      Router.paramTransformers.push(transformer);
+      try {
+        should(() => new Router().param('id', 'skip')).not.throw();
+        should(() => new Router().param('id', 'other')).throw(/invalid param\(\) call/);
+      } finally {
+        Router.paramTransformers.pop();
+      }
+      should(() => new Router().paramTransformer('skip')).throw(TypeError);
+    });
+  });
+
+  describe('.catch', () => {
+    it('should handle errors of nested routers', async () => {
+      const router = new Router();
+      const users = new Router();
+      const hits = [];
+
+      users.get('/:id', (ctx) => {
+        const err = new Error('no such user');
+        err.status = 404;
+        throw err;
+      });
+      router.use('/users', users.routes());
+      router
+        .catch(async (err, ctx, next) => {
+          hits.push(['first', err.message]);
+          throw new Error(`wrapped ${err.message}`);
+        })
+        .catch(async (err, ctx, next) => {
+          hits.push(['second', err.message]);
+          ctx.status = 404;
+        });
+
+      const ctx = { url: '/users/1', method: 'GET' };
+      await router.routes(false)(ctx);
+      should(ctx.status).equal(404);
+      should(hits).eql([['first', 'no such user'], ['second', 'wrapped no such user']]);
+    });
+
+    it('should resume with the next matching layer', async () => {
+      const router = new Router();
+      const hits = [];
+
+      router.get('/', (ctx) => {
+        throw new Error('first');
+      });
+      router.get('/', (ctx) => {
+        hits.push('second');
+        throw new Error('second');
+      });
+      router.catch(async (err, ctx, next) => {
+        hits.push(err.message);
+        if (err.message === 'first') {
+          return next();
+        }
+        throw err;
+      });
+
+      const err = await router.routes(false)({ url: '/', method: 'GET' }).then(() => undefined, e => e);
+      should(err.message).equal('second');
+      should(hits).eql(['first', 'second', 'second']);
+    });
+
+    it('should not handle errors from after the router', async () => {
+      const router = new Router();
+      const inner = new Router();
+      const hits = [];
+
+      inner.use((ctx, next) => next());
+      inner.catch((err) => {
+        hits.push('inner');
+      });
+      router.use(inner.routes());
+      router.use((ctx) => {
+        throw new Error('outer');
+      });
+      router.catch((err) => {
+        hits.push(err.message);
+      });
+
+      await router.routes(false)({ url: '/', method: 'GET' });
+      should(hits).eql(['outer']);
+
+      const err = await inner.routes(false)({ url: '/', method: 'GET' }, () => {
+        throw new Error('downstream');
+      }).then(() => undefined, e => e);
+      should(err.message).equal('downstream');
+      should(hits).eql(['outer']);
+    });
+
+    it('should be scoped to routes', async () => {
+      const router = new Router();
+      const hits = [];
+
+      router.route('/items')
+        .get((ctx) => {
+          throw new Error('items');
+        })
+        .catch((err, ctx) => {
+          hits.push(['route', err.message]);
+        });
+      router.get('/others', (ctx) => {
+        throw new Error('others');
+      });
+
+      await router.routes(false)({ url: '/items', method: 'GET' });
+      const err = await router.routes(false)({ url: '/others', method: 'GET' }).then(() => undefined, e => e);
+      should(err.message).equal('others');
+      should(hits).eql([['route', 'items']]);
+      should(() => router.catch('oops')).throw(TypeError);
+    });
+  });
+
+  describe('.notFound', () => {
+    it('should handle requests entering the router but matching nothing', async () => {
+      const router = new Router();
+      const api = new Router();
+      const hits = [];
+
+      api.get('/users', (ctx) => {
+        hits.push('users');
+      });
+      api.notFound((ctx) => {
+        hits.push(['notFound', ctx.baseUrl, ctx.url]);
+        ctx.status = 404;
+      });
+      router.use('/api', api.routes());
+      router.get('*', (ctx) => {
+        hits.push('spa');
+      });
+
+      await router.routes(false)({ url: '/api/users', method: 'GET' });
+      const ctx = { url: '/api/posts', method: 'GET' };
+      await router.routes(false)(ctx);
+      await router.routes(false)({ url: '/posts', method: 'GET' });
+      should(ctx.status).equal(404);
+      should(ctx.url).equal('/api/posts');
+      should(hits).eql(['users', ['notFound', '/api', '/posts'], 'spa']);
+    });
+
+    it('should leave the router on next', async () => {
+      const router = new Router();
+      const api = new Router();
+      const hits = [];
+
+      api.notFound(async (ctx, next) => {
+        hits.push('first');
+        await next();
+        hits.push('first after');
+      }, async (ctx, next) => {
+        hits.push('second');
+        return next();
+      });
+      router.use('/api', api.routes());
+      router.use((ctx) => {
+        hits.push(['outer', ctx.url]);
+      });
+
+      await router.routes(false)({ url: '/api/posts', method: 'GET' });
+      should(hits).eql(['first', 'second', ['outer', '/api/posts'], 'first after']);
+    });
+
+    it('should not handle requests leaving by next(\'router\')', async () => {
+      const router = new Router();
+      const api = new Router();
+      const hits = [];
+
+      api.use((ctx, next) => next('router'));
+      api.notFound((ctx) => {
+        hits.push('notFound');
+        ctx.status = 404;
+      });
+      router.use('/api', api.routes());
+      router.get('/api/x', (ctx) => {
+        hits.push('root');
+        ctx.body = 'x';
+      });
+
+      const ctx = { url: '/api/x', method: 'GET' };
+      await router.routes(false)(ctx);
+      should(ctx.body).equal('x');
+      should(hits).eql(['root']);
+    });
+
+    it('should give way to 405 and automatic OPTIONS responses', async () => {
+      const router = new Router({ methodNotAllowed: true });
+      const hits = [];
+
+      router.get('/users', () => {});
+      router.notFound((ctx) => {
+        hits.push(ctx.method);
+      });
+
+      const headers = {};
+      const ctx = {
+        url: '/users',
+        method: 'POST',
+        headers,
+        set(field, val) {
+          headers[field] = val;
+        },
+      };
+      await router.routes(false)(ctx);
+      should(ctx.status).equal(405);
+      await router.routes(false)(Object.assign({}, ctx, { method: 'OPTIONS' }));
+      await router.routes(false)(Object.assign({}, ctx, { url: '/posts' }));
+      should(hits).eql(['POST']);
+      should(() => router.notFound('oops')).throw(/requires a middleware function but got a 'oops'/);
+    });
+
+    it('should handle requests reaching the end of routes', async () => {
+      const router = new Router();
+      const hits = [];
+
+      router.route('/reports')
+        .all((ctx, next) => next())
+        .get({ format: 'csv' }, (ctx) => {
+          hits.push('csv');
+        })
+        .notFound((ctx) => {
+          hits.push('notFound');
+          ctx.status = 404;
+        });
+      router.notFound((ctx) => {
+        hits.push('router');
+      });
+
+      await router.routes(false)({ url: '/reports', method: 'GET', query: { format: 'csv' } });
+      const ctx = { url: '/reports', method: 'GET', query: { format: 'pdf' } };
+      await router.routes(false)(ctx);
+      should(ctx.status).equal(404);
+      should(hits).eql(['csv', 'notFound']);
+    });
+  });
+
+  describe('matched routes', () => {
+    it('should expose the full pattern of the route and the layers matched', async () => {
+      const router = new Router();
+      const orgs = new Router({ mergeParams: true });
+      const users = new Router({ mergeParams: true });
+      const hits = [];
+
+      function logger(ctx, next) {
+        return next();
+      }
+
+      users.get('/', () => {});
+      users.get('/:id', (ctx) => {
+        hits.push([ctx.baseUrl, ctx.matchedRoute]);
+      });
+      users.route('/:id/posts').name('user.posts').get(() => {});
+      orgs.use('/:org/users/', users.routes());
+      router.use(logger);
+      router.use('/orgs', orgs.routes());
+
+      const ctx = { url: '/orgs/acme/users/5', method: 'GET' };
+      await router.routes(false)(ctx);
+      should(hits).eql([['/orgs/acme/users', '/orgs/:org/users/:id']]);
+      should(ctx.matchedRoute).equal('/orgs/:org/users/:id');
+      should(ctx.matchedLayers.map(one => [one.name, one.path, one.fullPath])).eql([
+        ['logger', '/', '/'],
+        ['router', '/orgs', '/orgs'],
+        ['router', '/:org/users/', '/orgs/:org/users/'],
+        [undefined, '/:id', '/orgs/:org/users/:id'],
+      ]);
+      should(ctx.matchedLayers[3].route).equal(users.stack[1].route);
+
+      const listCtx = { url: '/orgs/acme/users', method: 'GET' };
+      await router.routes(false)(listCtx);
+      should(listCtx.matchedRoute).equal('/orgs/:org/users');
+
+      const postsCtx = { url: '/orgs/acme/users/5/posts', method: 'GET' };
+      await router.routes(false)(postsCtx);
+      should(postsCtx.matchedRoute).equal('/orgs/:org/users/:id/posts');
+      should(postsCtx.matchedLayers[3].name).equal('user.posts');
+    });
+
+    it('should restore the pattern on leaving mounted routers', async () => {
+      const router = new Router();
+      const api = new Router();
+
+      api.use('/v1', (ctx, next) => next());
+      router.use('/api', api.routes());
+      router.get('/api/:rest', () => {});
+
+      const ctx = { url: '/api/v1', method: 'GET' };
+      await router.routes(false)(ctx);
+      should(ctx.matchedRoute).equal('/api/:rest');
+      should(ctx.matchedLayers.map(one => one.fullPath)).eql(['/api', '/api/v1', '/api/:rest']);
+    });
+
+    it('should include version prefixes in the path', async () => {
+      const router = new Router({ versioning: { path: true } });
+      const v2 = new Router({ version: '2' });
+
+      v2.get('/users/:id', () => {});
+      router.use(v2.routes());
+
+      const ctx = { url: '/v2/users/5', method: 'GET', headers: {} };
+      await router.routes(false)(ctx);
+      should(ctx.matchedRoute).equal('/v2/users/:id');
+    });
+  });
+
+  describe('concurrent requests', () => {
+    it('should not share match results across requests', async () => {
+      const router = new Router();
+      const orgs = new Router({ mergeParams: true });
+      const results = [];
+
+      orgs.param('id', async (ctx, next, id) => {
+        await delay(id % 3);
+        ctx.params.id = Number(id);
+        return next();
+      });
+      orgs.use('/files', async (ctx, next) => {
+        await delay(1);
+        return next();
+      });
+      orgs.get('/files/*', async (ctx) => {
+        await delay(1);
+        results.push(['file', ctx.params.org, ctx.params[0], ctx.baseUrl]);
+      });
+      orgs.get('/users/:id', async (ctx) => {
+        await delay(ctx.params.id % 2);
+        results.push(['user', ctx.params.org, ctx.params.id, ctx.baseUrl]);
+      });
+      router.use('/orgs/:org', async (ctx, next) => {
+        await delay(Number(ctx.params.org.slice(3)) % 4);
+        return next();
+      }, orgs.routes());
+
+      const expected = [];
+      const requests = [];
+      for (let i = 0; i < 40; i += 1) {
+        const org = `org${i % 7}`;
+        if (i % 2 === 0) {
+          expected.push(['user', org, i, `/orgs/${org}`]);
+          requests.push({ url: `/orgs/${org}/users/${i}`, method: 'GET' });
+        } else {
+          expected.push(['file', org, `dir/${i}.txt`, `/orgs/${org}`]);
+          requests.push({ url: `/orgs/${org}/files/dir/${i}.txt`, method: 'GET' });
+        }
+      }
+      await Promise.all(requests.map(ctx => router.routes(false)(ctx)));
+
+      const sorted = list => list.slice().sort((a, b) => (
+        JSON.stringify(a) < JSON.stringify(b) ? -1 : 1
+      ));
+      should(sorted(results)).eql(sorted(expected));
+      requests.forEach(ctx => should(ctx.url).startWith('/orgs/'));
+      router.stack.concat(orgs.stack).forEach((layer) => {
+        should(layer).not.have.property('params');
+        should(layer).not.have.property('path');
+      });
+    });
+  });
+
+  describe('restoring ctx', () => {
+    it('should restore ctx when responded without next', async () => {
+      const router = new Router();
+      const users = new Router({ mergeParams: true });
+      const seen = [];
+
+      users.get('/:id', (ctx) => {
+        seen.push([ctx.url, ctx.baseUrl, ctx.params]);
+        ctx.status = 204;
+      });
+      router.use('/orgs/:org/users', users.routes());
+
+      const ctx = { url: '/orgs/acme/users/5?page=2', method: 'GET', params: { app: 'a' } };
+      const { next } = ctx;
+      await router.routes(false)(ctx);
+      should(seen).eql([['/5?page=2', '/orgs/acme/users', { org: 'acme', id: '5' }]]);
+      should(ctx.status).equal(204);
+      should(ctx.url).equal('/orgs/acme/users/5?page=2');
+      should(ctx.baseUrl).equal(undefined);
+      should(ctx.params).eql({ app: 'a' });
+      should(ctx.next).equal(next);
+    });
+
+    it('should restore ctx when thrown', async () => {
+      const router = new Router();
+      const api = new Router();
+
+      api.use('/users', (ctx) => {
+        throw new Error('boom');
+      });
+      router.use('/api', api.routes());
+
+      const ctx = { url: '/api/users/5', method: 'GET', baseUrl: '/app' };
+      const err = await router.routes(false)(ctx).then(() => undefined, e => e);
+      should(err.message).equal('boom');
+      should(ctx.url).equal('/api/users/5');
+      should(ctx.baseUrl).equal('/app');
+      should(ctx.params).equal(undefined);
+    });
+
+    it('should restore ctx after the downstream settles', async () => {
+      const router = new Router({ versioning: { path: true } });
+      const api = new Router();
+      const v1 = new Router({ version: '1' });
+      const seen = [];
+
+      v1.get('/users', (ctx, next) => {
+        seen.push(['handler', ctx.url, ctx.baseUrl, ctx.version]);
+        return next();
+      });
+      api.use(v1.routes());
+      router.use(async (ctx, next) => {
+        await next();
+        seen.push(['parent', ctx.url, ctx.baseUrl, ctx.version]);
+      });
+      router.use('/api', api.routes());
+
+      const ctx = { url: '/v1/api/users', method: 'GET', headers: {} };
+      await router.routes(false)(ctx, async () => {
+        seen.push(['downstream', ctx.url, ctx.baseUrl, ctx.version]);
+        ctx.url = '/rewritten';
+      });
+      should(seen).eql([
+        ['handler', '/users', '/v1/api', '1.0.0'],
+        ['downstream', '/v1/api/users', undefined, undefined],
+        ['parent', '/api/users', '/v1', '1.0.0'],
+      ]);
+      should(ctx.url).equal('/v1/api/users');
+      should(ctx.version).equal(undefined);
+    });
+
+    it('should restore ctx for the layers calling next', async () => {
+      const router = new Router();
+      const api = new Router();
+      const seen = [];
+
+      api.get('/users/:id', (ctx) => {
+        ctx.status = 204;
+      });
+      router.use('/api', async (ctx, next) => {
+        seen.push(['before', ctx.url, ctx.baseUrl]);
+        await next();
+        seen.push(['after', ctx.url, ctx.baseUrl, ctx.params]);
+      });
+      router.use('/api/users', (ctx, next) => next());
+      router.use('/api', api.routes());
+
+      await router.routes(false)({ url: '/api/users/5', method: 'GET' });
+      should(seen).eql([
+        ['before', '/users/5', '/api'],
+        ['after', '/users/5', '/api', {}],
+      ]);
+    });
+  });
+
+  describe('.meta', () => {
+    function buildRouter(hits) {
+      const router = new Router({ meta: { app: 'shop', audit: false } });
+      const admin = new Router({ meta: { roles: ['admin'] } });
+
+      function record(ctx) {
+        hits.push(ctx.routeMeta);
+      }
+
+      admin.meta({ rateLimit: 100 });
+      admin.get('/stats', { meta: { rateLimit: 10 } }, record);
+      admin.route('/users')
+        .meta({ resource: 'users' })
+        .get(record)
+        .delete({ meta: { roles: ['root'] } }, record);
+      router.use('/admin', { meta: { audit: true } }, admin.routes());
+      router.get('/', record);
+      return router;
+    }
+
+    it('should merge metadata down into ctx.routeMeta', async () => {
+      const hits = [];
+      const router = buildRouter(hits);
+      const handle = router.routes(false);
+
+      await handle({ url: '/admin/stats', method: 'GET' });
+      await handle({ url: '/admin/users', method: 'GET' });
+      await handle({ url: '/admin/users', method: 'DELETE' });
+      await handle({ url: '/', method: 'GET' });
+      should(hits).eql([
+        {
+          app: 'shop', audit: true, roles: ['admin'], rateLimit: 10,
+        },
+        {
+          app: 'shop', audit: true, roles: ['admin'], rateLimit: 100, resource: 'users',
+        },
+        {
+          app: 'shop', audit: true, roles: ['root'], rateLimit: 100, resource: 'users',
+        },
+        { app: 'shop', audit: false },
+      ]);
+    });
+
+    it('should keep ctx.routeMeta after the router', async () => {
+      const router = new Router();
+      router.get('/', { meta: { audit: true } }, (ctx, next) => next());
+      router.use((ctx) => {
+        should(ctx.routeMeta).eql({ audit: true });
+      });
+
+      const ctx = { url: '/', method: 'GET' };
+      await router.routes(false)(ctx);
+      should(ctx.routeMeta).eql({ audit: true });
+    });
+
+    it('should list metadata in .getRoutes()', () => {
+      const router = buildRouter([]);
+      should(router.getRoutes().map(one => [one.method, one.fullPath, one.meta])).eql([
+        ['GET', '/admin/stats', {
+          app: 'shop', audit: true, roles: ['admin'], rateLimit: 10,
+        }],
+        ['GET', '/admin/users', {
+          app: 'shop', audit: true, roles: ['admin'], rateLimit: 100, resource: 'users',
+        }],
+        ['DELETE', '/admin/users', {
+          app: 'shop', audit: true, roles: ['root'], rateLimit: 100, resource: 'users',
+        }],
+        ['GET', '/', { app: 'shop', audit: false }],
+      ]);
+    });
+  });
+
+  describe('events', () => {
+    it('should emit layer:added and mount', () => {
+      const router = new Router();
+      const users = new Router();
+      const events = [];
+
+      router.on('layer:added', layer => events.push(['layer:added', layer.pattern]));
+      users.on('mount', (parent, path) => events.push(['mount', parent === router, path]));
+
+      router.get('/', () => {});
+      router.use('/users', users.routes());
+      should(events).eql([
+        ['layer:added', '/'],
+        ['layer:added', '/users'],
+        ['mount', true, '/users'],
+      ]);
+    });
+
+    it('should emit the routing decisions of requests', async () => {
+      const router = new Router();
+      const users = new Router();
+      const events = [];
+
+      function listen(name, emitter) {
+        emitter.on('match', (ctx, one) => events.push([name, 'match', one.fullPath]));
+        emitter.on('dispatch', (ctx, route) => events.push([name, 'dispatch', route.path]));
+        emitter.on('paramResolved', (ctx, param, val) => events.push([name, 'paramResolved', param, val]));
+        emitter.on('skip', (ctx, signal) => events.push([name, 'skip', signal]));
+        emitter.on('done', (ctx, err) => events.push([name, 'done', err && err.message]));
+      }
+      listen('router', router);
+      listen('users', users);
+
+      users.param('id', (ctx, next, id) => {
+        ctx.params.id = Number(id);
+        return next();
+      });
+      users.get('/:id', (ctx, next) => next('route'));
+      users.get('/:id', (ctx, next) => next('router'));
+      router.use('/users', users.routes());
+      router.get('/users/:id', () => {
+        throw new Error('boom');
+      });
+
+      const err = await router.routes(false)({ url: '/users/5', method: 'GET' })
+        .then(() => undefined, e => e);
+      should(err.message).equal('boom');
+      should(events).eql([
+        ['router', 'match', '/users'],
+        ['users', 'match', '/users/:id'],
+        ['users', 'paramResolved', 'id', 5],
+        ['users', 'dispatch', '/:id'],
+        ['users', 'skip', 'route'],
+        ['users', 'match', '/users/:id'],
+        ['users', 'dispatch', '/:id'],
+        ['users', 'skip', 'router'],
+        ['router', 'match', '/users/:id'],
+        ['router', 'dispatch', '/users/:id'],
+        ['users', 'done', 'boom'],
+        ['router', 'done', 'boom'],
+      ]);
+    });
+  });
+
+  describe('profiling', () => {
+    it('should time routers, layers and param callbacks', async () => {
+      const router = new Router({ profile: true });
+      const users = new Router();
+
+      async function logger(ctx, next) {
+        await next();
+      }
+      async function slow(ctx, next) {
+        await delay(20);
+        return next();
+      }
+      async function loadUser(ctx, next) {
+        return next();
+      }
+      async function showUser(ctx) {
+        ctx.body = 'user';
+      }
+
+      users.param('id', loadUser);
+      users.use(slow);
+      users.get('/:id', showUser);
+      router.use(logger);
+      router.use('/users', users.routes());
+
+      const ctx = createContext('/users/5');
+      await router.routes(false)(ctx);
+      const timings = ctx.routerTimings;
+      should(timings.map(one => [one.type, one.name, one.path, one.method, one.param])).eql([
+        ['router', 'router', '/', undefined, undefined],
+        ['middleware', 'logger', '/', undefined, undefined],
+        ['router', 'router', '/users', undefined, undefined],
+        ['middleware', 'slow', '/users', undefined, undefined],
+        ['param', 'loadUser', '/users/:id', undefined, 'id'],
+        ['handler', 'showUser', '/users/:id', 'GET', undefined],
+      ]);
+      timings.forEach(one => should(one.duration).be.aboveOrEqual(one.self));
+      should(timings[3].self).be.aboveOrEqual(15);
+      should(timings[1].self).be.below(timings[3].self);
+      should(timings[1].duration).be.aboveOrEqual(timings[3].self);
+
+      const header = ctx.responseHeaders['Server-Timing'];
+      should(header.split(', ')).have.length(6);
+      should(header).match(/^router-0;desc="router \/";dur=\d+\.\d{3}, /);
+      should(header).match(/, param-4;desc=":id loadUser \/users\/:id";dur=/);
+      should(header).match(/, handler-5;desc="GET showUser \/users\/:id";dur=/);
+    });
+
+    it('should not profile unless asked to', async () => {
+      const router = new Router();
+      router.get('/', () => {});
+
+      const ctx = createContext('/');
+      await router.routes(false)(ctx);
+      should(ctx.routerTimings).equal(undefined);
+      should(ctx.responseHeaders).eql({});
+    });
+  });
+
+  describe('.metrics', () => {
+    it('should record requests by route templates', async () => {
+      const metrics = new Router.Metrics();
+      const router = new Router();
+      const users = new Router();
+      const record = metrics.middleware();
+
+      users.get('/:id', (ctx) => {
+        ctx.status = 200;
+      });
+      users.delete('/:id', (ctx) => {
+        ctx.throw(403);
+      });
+      router.use('/users', users.routes());
+      router.get('/metrics', metrics.handler());
+
+      async function request(method, url) {
+        const ctx = {
+          method,
+          url,
+          status: 404,
+          throw(status) {
+            const err = new Error('oops');
+            err.status = status;
+            throw err;
+          },
+        };
+        await record(ctx, () => router.routes(false)(ctx)).catch(() => {});
+        return ctx;
+      }
+
+      await request('GET', '/users/1');
+      await request('GET', '/users/2');
+      await request('DELETE', '/users/2');
+      await request('GET', '/posts');
+      const ctx = await request('GET', '/metrics');
+
+      should(ctx.type).equal('text/plain; version=0.0.4; charset=utf-8');
+      const lines = ctx.body.split('\n');
+      should(lines.slice(0, 6)).eql([
+        '# HELP http_requests_total Number of HTTP requests.',
+        '# TYPE http_requests_total counter',
+        'http_requests_total{method="GET",route="/users/:id",status="200"} 2',
+        'http_requests_total{method="DELETE",route="/users/:id",status="403"} 1',
+        'http_requests_total{method="GET",route="unmatched",status="404"} 1',
+        '# HELP http_request_duration_seconds Latency of HTTP requests in seconds.',
+      ]);
+      should(lines).containEql('http_request_duration_seconds_bucket{method="GET",route="/users/:id",le="+Inf"} 2');
+      should(lines).containEql('http_request_duration_seconds_count{method="DELETE",route="/users/:id"} 1');
+      should(lines.some(line => line.indexOf('/users/1') !== -1)).be.false();
+    });
+
+    it('should render histograms', () => {
+      const metrics = new Router.Metrics({ prefix: 'api_', buckets: [1, 0.1] });
+      metrics.record({
+        method: 'get', route: '/a"b\\', status: 200, duration: 0.05,
+      });
+      metrics.record({
+        method: 'get', route: '/a"b\\', status: 200, duration: 0.5,
+      });
+      metrics.record({
+        method: 'get', route: '/a"b\\', status: 200, duration: 2,
+      });
+
+      should(metrics.render()).equal([
+        '# HELP api_requests_total Number of HTTP requests.',
+        '# TYPE api_requests_total counter',
+        'api_requests_total{method="GET",route="/a\\"b\\\\",status="200"} 3',
+        '# HELP api_request_duration_seconds Latency of HTTP requests in seconds.',
+        '# TYPE api_request_duration_seconds histogram',
+        'api_request_duration_seconds_bucket{method="GET",route="/a\\"b\\\\",le="0.1"} 1',
+        'api_request_duration_seconds_bucket{method="GET",route="/a\\"b\\\\",le="1"} 2',
+        'api_request_duration_seconds_bucket{method="GET",route="/a\\"b\\\\",le="+Inf"} 3',
+        'api_request_duration_seconds_sum{method="GET",route="/a\\"b\\\\"} 2.55',
+        'api_request_duration_seconds_count{method="GET",route="/a\\"b\\\\"} 3',
+        '',
+      ].join('\n'));
+
+      metrics.reset();
+      should(metrics.render().split('\n')).have.length(5);
+      should(Router.metrics).be.instanceOf(Router.Metrics);
+    });
+  });
+
+  describe('.current', () => {
+    // `AsyncLocalStorage` is missing before Node.js 12.17
+    const hasStorage = Number(process.versions.node.split('.')[0]) > 12 ||
+      /^12\.(1[7-9]|2\d)\./.test(process.versions.node);
+    const itWithStorage = hasStorage ? it : it.skip;
+    const itWithoutStorage = hasStorage ? it.skip : it;
+
+    // a function deep below the handlers without ctx
+    async function whereAmI(ms) {
+      await delay(ms);
+      const current = Router.current();
+      return [current.name, current.matchedRoute, current.baseUrl, current.params.id];
+    }
+
+    it('should be undefined in handlers until enabled', async () => {
+      const router = new Router();
+      let current = null;
+
+      router.get('/', () => {
+        current = Router.current();
+      });
+
+      await router.routes(false)({ url: '/', method: 'GET' });
+      should(current).equal(undefined);
+    });
+
+    itWithoutStorage('should throw when enabled without AsyncLocalStorage', () => {
+      should(() => Router.enableCurrent()).throw(/Node\.js 12\.17/);
+    });
+
+    itWithStorage('should be enabled by .enableCurrent()', () => {
+      should(Router.enableCurrent()).equal(Router);
+      should(Router.enableCurrent()).equal(Router);
+    });
+
+    itWithStorage('should get the routing context of the request', async () => {
+      const router = new Router();
+      const users = new Router();
+      const seen = [];
+
+      users.use(async (ctx, next) => {
+        seen.push(['use', ctx.url, await whereAmI(2)]);
+        return next();
+      });
+      users.get('user.show', '/:id', async (ctx) => {
+        seen.push(['show', ctx.params.id, await whereAmI(Number(ctx.params.id))]);
+      });
+      router.use('/users', users.routes());
+
+      await Promise.all(['3', '1'].map(id => router.routes(false)({ url: `/users/${id}`, method: 'GET' })));
+      should(seen).eql([
+        ['use', '/3', [undefined, undefined, '/users', undefined]],
+        ['use', '/1', [undefined, undefined, '/users', undefined]],
+        ['show', '1', ['user.show', '/users/:id', '/users', '1']],
+        ['show', '3', ['user.show', '/users/:id', '/users', '3']],
+      ]);
+    });
+
+    itWithStorage('should get the routing context after the route', async () => {
+      const router = new Router();
+      let current;
+
+      router.use(async (ctx, next) => {
+        await next();
+        current = Router.current();
+      });
+      router.get('/items/:id', () => delay(1));
+
+      const ctx = { url: '/items/5', method: 'GET' };
+      await router.routes(false)(ctx);
+      should(current.ctx).equal(ctx);
+      should(current.route).equal(router.stack[1].route);
+      should(current.matchedRoute).equal('/items/:id');
+      should(current.params).eql({});
+    });
+
+    it('should be undefined outside of routers', async () => {
+      should(Router.current()).equal(undefined);
+      await delay(1);
+      should(Router.current()).equal(undefined);
+    });
+  });
+
+  describe('runtime changes', () => {
+    function ok(body) {
+      return async (ctx) => {
+        ctx.body = body;
+      };
+    }
+
+    async function request(router, url, method = 'GET') {
+      const ctx = { url, method };
+      await router.routes(false)(ctx);
+      return ctx.body;
+    }
+
+    it('should remove routes by name or path', async () => {
+      const router = new Router();
+      const removed = [];
+      router.on('layer:removed', layer => removed.push(layer.pattern));
+      router.get('user.show', '/users/:id', ok('show'));
+      router.get('/items', ok('items'));
+      router.use('/items', ok('used'));
+
+      should(router.remove('user.show')).equal(true);
+      should(await request(router, '/users/1')).equal(undefined);
+      should(router.remove('/items')).equal(true);
+      should(await request(router, '/items')).equal(undefined);
+      should(router.remove('/items')).equal(false);
+      should(router.stack).have.length(0);
+      should(removed).eql(['/users/:id', '/items', '/items']);
+    });
+
+    it('should remove the handlers of a method', async () => {
+      const router = new Router();
+      router.route('/users/:id')
+        .name('user')
+        .all({ meta: { auth: true } }, async (ctx, next) => {
+          ctx.body = 'all';
+          return next();
+        })
+        .get(ok('get'))
+        .delete(ok('delete'));
+
+      should(router.remove('user', 'post')).equal(false);
+      should(router.remove('user', 'DELETE')).equal(true);
+      should(await request(router, '/users/1', 'DELETE')).equal('all');
+      should(router.stack[0].route._options()).eql(['GET', 'HEAD']);
+      should(router.stack[0].route._has_handlers('all')).equal(true);
+
+      should(router.remove('/users/:id', 'all')).equal(true);
+      should(router.stack[0].route.metadata).eql({});
+      should(await request(router, '/users/1', 'DELETE')).equal(undefined);
+      should(router.remove('user', 'get')).equal(true);
+      should(router.stack).have.length(0);
+    });
+
+    it('should replace the handlers of a method in place', async () => {
+      const router = new Router();
+      const route = router.route('/items');
+      route.get(ok('v1')).all(ok('all'));
+
+      router.replace('/items', 'get', { meta: { v: 2 } }, async (ctx) => {
+        ctx.body = `v2 ${ctx.routeMeta.v}`;
+      });
+      should(await request(router, '/items')).equal('v2 2');
+      should(route.stack.map(layer => layer.method)).eql(['get', undefined]);
+
+      route.replace('post', ok('created'));
+      should(route.stack.map(layer => layer.method)).eql(['get', undefined, 'post']);
+      should(route._has_handlers('post')).equal(true);
+      should(() => router.replace('/items', 'put', ok('put'))).throw(/no route '\/items' with put handlers/);
+      should(() => router.replace('/items', 'get', ok('v3'), 42)).throw(TypeError);
+      should(() => router.replace('/items', 'get', { meta: { v: 3 } })).throw(/requires callback functions/);
+      should(await request(router, '/items')).equal('v2 2');
+    });
+
+    it('should replace the middlewares used at a path in place', async () => {
+      const router = new Router();
+      const v1 = new Router();
+      const v2 = new Router();
+      const events = [];
+      v1.get('/', ok('v1'));
+      v2.get('/', ok('v2'));
+      router.use('/users', v1.routes());
+      router.use(ok('fallback'));
+      router.on('layer:added', () => events.push('added'));
+      router.on('layer:removed', () => events.push('removed'));
+
+      router.replace('/users', v2.routes());
+      should(await request(router, '/users')).equal('v2');
+      should(router.stack.map(layer => layer.pattern)).eql(['/users', '/']);
+      should(events).eql(['added', 'removed']);
+      should(() => router.replace('/posts', v2.routes())).throw(/no middleware used at '\/posts'/);
+      should(() => router.replace('/users', 42)).throw(TypeError);
+      should(router.stack).have.length(2);
+    });
+
+    it('should find routers with a prefix by the path they are used at', async () => {
+      const router = new Router();
+      const v1 = new Router({ prefix: '/v1' });
+      const v2 = new Router({ prefix: '/v2' });
+      v1.get('/', ok('v1'));
+      v2.get('/', ok('v2'));
+      router.use('/api', v1.routes());
+
+      router.replace('/api', v2.routes());
+      should(await request(router, '/api/v2')).equal('v2');
+      should(router.stack[0].pattern).equal('/api/v2');
+      should(router.remove('/api')).equal(true);
+      should(router.stack).have.length(0);
+    });
+
+    it('should clear the layers', async () => {
+      const router = new Router({ compiled: true });
+      router.param('id', /^\d+$/);
+      router.get('/items/:id', ok('item'));
+      should(await request(router, '/items/1')).equal('item');
+
+      should(router.clear()).equal(router);
+      should(router.stack).have.length(0);
+      should(await request(router, '/items/1')).equal(undefined);
+      router.get('/items/:id', ok('again'));
+      should(await request(router, '/items/1')).equal('again');
+      should(await request(router, '/items/a')).equal(undefined);
+    });
+
+    it('should let requests in flight go on with the layers they started with', async () => {
+      const router = new Router();
+      let entered;
+      let release;
+      const inFlight = new Promise((resolve) => {
+        entered = resolve;
+      });
+      const gate = new Promise((resolve) => {
+        release = resolve;
+      });
+      router.get('/slow', async (ctx, next) => {
+        entered();
+        await gate;
+        return next();
+      }, async (ctx, next) => {
+        ctx.body = 'v1';
+        return next();
+      });
+      router.use('/slow', async (ctx) => {
+        ctx.body += ' used';
+      });
+
+      const slow = request(router, '/slow');
+      await inFlight;
+      router.replace('/slow', 'get', ok('v2'));
+      should(await request(router, '/slow')).equal('v2');
+      router.clear();
+      should(await request(router, '/slow')).equal(undefined);
+      release();
+      should(await slow).equal('v1 used');
+    });
+  });
 });